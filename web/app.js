@@ -2,6 +2,7 @@ import {
   PoseLandmarker,
   HandLandmarker,
   FaceLandmarker,
+  ImageSegmenter,
   FilesetResolver,
 } from "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3";
 
@@ -11,6 +12,34 @@ const videoEl = document.getElementById("camera");
 const startBtn = document.getElementById("start-btn");
 const statusText = document.getElementById("status-text");
 const showVideoToggle = document.getElementById("show-video");
+const airDrawToggle = document.getElementById("air-draw");
+const debugOverlayToggle = document.getElementById("debug-overlay");
+const hudToggle = document.getElementById("show-hud");
+const mirrorCameraToggle = document.getElementById("mirror-camera");
+const sceneSelect = document.getElementById("scene-select");
+const transitionSelect = document.getElementById("transition-select");
+const quantizeSelect = document.getElementById("quantize-select");
+const sceneParamsEl = document.getElementById("scene-params");
+const fxStackEl = document.getElementById("fx-stack");
+const silhouetteSelect = document.getElementById("silhouette-select");
+const appEl = document.querySelector(".app");
+const audioSourceSelect = document.getElementById("audio-source");
+const audioDeviceSelect = document.getElementById("audio-device");
+const audioDeviceField = document.getElementById("audio-device-field");
+const videoDeviceSelect = document.getElementById("video-device");
+const audioFileInput = document.getElementById("audio-file");
+const audioFileField = document.getElementById("audio-file-field");
+const audioUrlInput = document.getElementById("audio-url");
+const audioUrlField = document.getElementById("audio-url-field");
+const audioMonitorToggle = document.getElementById("audio-monitor");
+const audioPlayer = document.getElementById("audio-player");
+const tapBtn = document.getElementById("tap-btn");
+const bpmInput = document.getElementById("bpm-input");
+const halveBtn = document.getElementById("halve-btn");
+const doubleBtn = document.getElementById("double-btn");
+const nudgeBackBtn = document.getElementById("nudge-back-btn");
+const nudgeForwardBtn = document.getElementById("nudge-forward-btn");
+const tempoLockToggle = document.getElementById("tempo-lock");
 let renderer = null;
 const BASE_ASPECT_RATIO = canvas.width / canvas.height;
 
@@ -58,13 +87,147 @@ const CONFIG = {
   fftSize: 2048,
   smoothing: 0.82,
   barCount: 96,
+  spectrumScale: "log",
+  spectrumMinHz: 30,
+  spectrumMaxHz: 16000,
+  bands: [
+    { name: "sub", minHz: 20, maxHz: 60 },
+    { name: "bass", minHz: 60, maxHz: 250 },
+    { name: "lowMid", minHz: 250, maxHz: 500 },
+    { name: "mid", minHz: 500, maxHz: 2000 },
+    { name: "presence", minHz: 2000, maxHz: 6000 },
+    { name: "air", minHz: 6000, maxHz: 16000 },
+  ],
+  bandGroups: {
+    low: ["sub", "bass"],
+    mid: ["lowMid", "mid"],
+    high: ["presence", "air"],
+  },
   motionSmoothing: 0.82,
+  poseVisibilityFloor: 0.5,
+  poseEnergyScale: 3,
+  poseEnergySmoothingMs: 220,
+  poseMaxFrameGapMs: 250,
+  poseGestureCooldownMs: 1200,
+  poseHoldMs: 220,
+  poseArmsUpMargin: 0.25,
+  poseClapDistance: 0.3,
+  poseClapOpenDistance: 0.7,
+  poseClapWindowMs: 450,
+  poseJumpRise: 0.22,
+  poseJumpVelocity: 1.4,
+  poseLeanAngle: 0.26,
+  poseCrouchLegRatio: 1.05,
+  poseFlashDecayMs: 450,
+  poseLeanDecayMs: 900,
+  poseCrouchDecayMs: 1200,
   fingerTrailLength: 220,
-  blinkCooldownMs: 1200,
+  fingerTrailLifeMs: 550,
+  trailBaseWidth: 5,
+  trailSpeedForMaxWidth: 2.5,
+  airDrawPinch: 0.8,
+  airDrawReleasePinch: 0.6,
+  airDrawClearGraceMs: 600,
+  airDrawWidth: 6,
+  airDrawMinStep: 0.004,
+  airDrawMaxStrokes: 40,
+  airDrawMaxPoints: 600,
+  handMaxFrameGapMs: 250,
+  landmarkFilterEnabled: true,
+  landmarkFilterResetMs: 500,
+  landmarkFilters: {
+    hand: { minCutoff: 1.5, beta: 12, derivativeCutoff: 1 },
+    face: { minCutoff: 1, beta: 6, derivativeCutoff: 1 },
+    pose: { minCutoff: 1, beta: 8, derivativeCutoff: 1 },
+  },
+  blinkCooldownMs: 250,
+  eyeCalibrationMs: 1500,
+  eyeClosedGuess: 0.35,
+  eyeCloseRatio: 0.35,
+  eyeOpenRatio: 0.55,
+  blinkMinMs: 40,
+  blinkMaxMs: 400,
+  winkMinMs: 150,
+  winkMaxMs: 900,
+  eyesClosedMs: 900,
+  headPanGain: 1.4,
+  mirrorCamera: true,
+  sceneTransition: "crossfade",
+  sceneQuantize: "bar",
+  sceneTransitionBeats: 2,
+  sceneGlitchBeats: 0.5,
+  sceneFallbackBeatMs: 500,
+  webglEnabled: true,
+  shaderResolutionScale: 0.75,
+  feedbackZoom: 0.03,
+  feedbackRotation: 0.01,
+  feedbackMaxGain: 0.85,
+  kaleidoscopeSegments: 6,
+  pixelateMaxBlock: 24,
+  rgbSplitMaxOffset: 18,
+  particlesEnabled: false,
+  particleCapacity: 6000,
+  particleMinLifeSeconds: 0.8,
+  particleMaxLifeSeconds: 2.4,
+  particleHandRate: 90,
+  particleFaceRate: 160,
+  particleKickBurst: 140,
+  particleSnareBurst: 60,
+  particleHihatSparkles: 24,
+  particleBurstSpeed: 520,
+  particleTurbulence: 220,
+  particleDrag: 0.35,
+  particleMaxAttractors: 8,
+  particlePalmForce: 900,
+  particlePalmRadius: 120,
+  segmentationEnabled: true,
+  segmentationSmoothing: 0.5,
+  segmentationThreshold: 0.5,
+  segmentationSoftness: 0.15,
+  segmentationFeatherPx: 3,
+  segmentationMinCoverage: 0.01,
+  segmentationTimeoutMs: 500,
+  silhouetteMode: "off",
+  silhouetteFillAlpha: 0.85,
+  silhouetteGlowPx: 14,
+  sceneQuantizeTimeoutMs: 4000,
+  maxPerformers: 3,
+  performerMatchDistance: 0.25,
+  performerFaceMatchDistance: 0.12,
+  performerHandMatchDistance: 0.18,
+  performerTimeoutMs: 1500,
+  handMatchDistance: 0.2,
+  handTimeoutMs: 400,
+  handFingerExtendRatio: 1.15,
+  handOkDistance: 0.35,
+  handShapeHoldMs: 180,
+  handGestureCooldownMs: 700,
+  handHistoryMs: 1200,
+  handSwipeWindowMs: 320,
+  handSwipeDistance: 0.22,
+  handSwipeAxisRatio: 2,
+  handCircleWindowMs: 1200,
+  handCircleMinRadius: 0.04,
+  handCircleTurns: 0.9,
+  handPushWindowMs: 400,
+  handPushGrowth: 0.35,
+  strobeDurationMs: 480,
+  strobeIntervalMs: 60,
   levelScale: 320,
   levelExponent: 0.56,
   bandGain: 20,
   bandExponent: 0.7,
+  agcEnabled: true,
+  agcAttackMs: 250,
+  agcReleaseMs: 6000,
+  agcTarget: 0.85,
+  agcLevelFloor: 0.003,
+  agcBandFloor: 0.04,
+  gateEnabled: true,
+  gateThresholdDb: -58,
+  gateHysteresisDb: 6,
+  gateHoldMs: 400,
+  gateFadeMs: 120,
   cameraBlend: false,
   hudEnabled: false,
   fluxHistorySize: 128,
@@ -74,19 +237,114 @@ const CONFIG = {
   fluxExponent: 1.18,
   fluxDeltaFloor: 0.006,
   fluxPulseGain: 2.6,
+  useAudioWorklet: true,
+  workletFftSize: 1024,
+  workletHopSize: 256,
+  workletSmoothing: 0.5,
+  workletFluxWindowMs: 400,
+  workletFluxMinWindowMs: 200,
+  workletFramesPerMessage: 4,
+  workletMaxQueue: 64,
   beatDeltaGain: 5.4,
   beatMinIntervalMs: 200,
-  beatMaxIntervalMs: 1400,
   beatLevelFloor: 0.16,
   beatEnergyFloor: 0.18,
-  beatSilenceResetMs: 2600,
-  bpmSmoothing: 0.28,
-  bpmWindow: 12,
+  audioActiveLevel: 0.035,
+  onsetBands: {
+    kick: { ranges: [[35, 150]], sensitivity: 1.5, floor: 0.01, cooldownMs: 180, decayMs: 180 },
+    snare: { ranges: [[180, 450], [1800, 5000]], sensitivity: 1.7, floor: 0.008, cooldownMs: 140, decayMs: 140 },
+    hihat: { ranges: [[7000, 15000]], sensitivity: 1.6, floor: 0.004, cooldownMs: 70, decayMs: 90 },
+  },
+  tempoHopMs: 10,
+  tempoWindowMs: 8000,
+  tempoEstimateIntervalMs: 500,
+  tempoMinBpm: 60,
+  tempoMaxBpm: 200,
+  tempoPriorBpm: 120,
+  tempoPriorWidth: 1.1,
+  tempoMinConfidence: 0.12,
+  tempoLockTolerance: 0.04,
+  tempoSmoothing: 0.2,
+  tempoSwitchEstimates: 3,
+  tempoHoldMs: 12000,
+  tempoPhaseGain: 0.18,
+  tempoPhaseWindow: 0.3,
+  tempoRealignMisses: 4,
+  beatsPerBar: 4,
+  tapResetMs: 2000,
+  tapWindow: 8,
+  tempoNudgeBeats: 0.04,
+  manualMinBpm: 30,
+  manualMaxBpm: 300,
   paletteMinHoldMs: 2000,
   paletteBeatsPerCycle: 8,
   paletteQuietIntensity: 0.12,
   paletteQuietResetMs: 5200,
   paletteBeatPulseGate: 0.6,
+  sectionShortMs: 1500,
+  sectionLongMs: 12000,
+  sectionDensityWindowMs: 4000,
+  sectionTrendWindowMs: 8000,
+  sectionTrendSampleMs: 250,
+  sectionMinHoldMs: 3000,
+  sectionAmbientLevel: 0.18,
+  sectionDropLow: 0.45,
+  sectionDropRatio: 1.2,
+  sectionSustainRatio: 0.7,
+  sectionBuildSlope: 0.015,
+  sectionBuildDensitySlope: 0.12,
+  sectionBuildExpectedMs: 16000,
+  sectionBuildStallMs: 4000,
+  sectionBuildMaxFactor: 2,
+  dropBurstDecayMs: 700,
+  chromaMinHz: 200,
+  chromaMaxHz: 5000,
+  chromaSmoothing: 0.3,
+  keyWindowMs: 8000,
+  keySwitchMargin: 0.05,
+  keyHoldMs: 3000,
+  chordMinScore: 0.65,
+  chordMinMargin: 0.08,
+  chordHoldMs: 250,
+  paletteKeyHueMix: 0.45,
+  paletteChordHueMix: 0.35,
+  paletteHueSmoothing: 0.04,
+};
+
+const HAND_FINGERS = {
+  thumb: [4, 3],
+  index: [8, 6],
+  middle: [12, 10],
+  ring: [16, 14],
+  pinky: [20, 18],
+};
+
+const HAND_SHAPES = [
+  { name: "ok", test: (f, hand) => hand.okClosed && f.middle && f.ring && f.pinky },
+  { name: "fist", test: (f) => !f.index && !f.middle && !f.ring && !f.pinky && !f.thumb },
+  { name: "thumbsUp", test: (f, hand) => f.thumb && !f.index && !f.middle && !f.ring && !f.pinky && hand.thumbUp },
+  { name: "point", test: (f) => f.index && !f.middle && !f.ring && !f.pinky },
+  { name: "peace", test: (f) => f.index && f.middle && !f.ring && !f.pinky },
+  { name: "rock", test: (f) => f.index && !f.middle && !f.ring && f.pinky },
+  { name: "open", test: (f) => f.index && f.middle && f.ring && f.pinky },
+];
+
+const POSE_LIMBS = {
+  arms: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22],
+  legs: [25, 26, 27, 28, 29, 30, 31, 32],
+  torso: [0, 11, 12, 23, 24],
+};
+
+const PITCH_CLASSES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+const KEY_PROFILES = {
+  major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+  minor: [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17],
+};
+
+const CHORD_TEMPLATES = {
+  major: [0, 4, 7],
+  minor: [0, 3, 7],
 };
 
 const COLOR_THEMES = [
@@ -133,27 +391,193 @@ class AudioAnalyser {
     this.beatPulse = 0;
     this.brightness = 0;
     this.lastBeatTime = 0;
-    this.beatIntervals = [];
-    this.bpm = 0;
+    this.tempo = new TempoTracker();
+    this.sections = new SectionDetector();
+    this.harmony = new HarmonyAnalyser();
+    this.onsetDetectors = Object.fromEntries(
+      Object.entries(CONFIG.onsetBands).map(([name, options]) => [name, new BandOnsetDetector(options)]),
+    );
     this.bandEnergy = { low: 0, mid: 0, high: 0 };
+    this.bands = {};
+    this.gate = new NoiseGate();
+    this.levelNormalizer = new AdaptiveNormalizer(CONFIG.agcLevelFloor);
+    this.bandNormalizers = Object.fromEntries(
+      CONFIG.bands.map(({ name }) => [name, new AdaptiveNormalizer(CONFIG.agcBandFloor)]),
+    );
+    this.lastFrameTime = 0;
+    this.lastFeatures = {
+      rms: 0,
+      level: 0,
+      fluxDelta: 0,
+      bands: Object.fromEntries(CONFIG.bands.map(({ name }) => [name, 0])),
+      bandEnergy: { low: 0, mid: 0, high: 0 },
+    };
+    this.layoutBinHz = 0;
+    this.bandLayout = null;
+    this.barLayout = null;
     this.prevSpectrum = null;
     this.fluxHistory = [];
     this.prevFlux = 0;
-    this.lastAudioActive = 0;
     this.beatDetected = false;
+    this.source = null;
+    this.monitorGain = null;
+    this.monitorEnabled = false;
+    this.mediaElementSources = new WeakMap();
+    this.graphReady = null;
+    this.featureNode = null;
+    this.featureQueue = [];
+    this.clockOffset = null;
+  }
+
+  async init(stream, options = {}) {
+    await this.connectStream(stream, options);
+  }
+
+  async connectStream(stream, { monitor = false } = {}) {
+    await this._ensureGraph();
+    const source = this.audioContext.createMediaStreamSource(stream);
+    await this._attachSource(source, monitor);
+  }
+
+  async connectMediaElement(element, { monitor = true } = {}) {
+    await this._ensureGraph();
+    let source = this.mediaElementSources.get(element);
+    if (!source) {
+      source = this.audioContext.createMediaElementSource(element);
+      this.mediaElementSources.set(element, source);
+    }
+    await this._attachSource(source, monitor);
+  }
+
+  setMonitor(enabled) {
+    this.monitorEnabled = enabled;
+    if (!this.monitorGain) return;
+    this.monitorGain.gain.setTargetAtTime(enabled ? 1 : 0, this.audioContext.currentTime, 0.02);
+  }
+
+  _ensureGraph() {
+    if (!this.graphReady) {
+      this.graphReady = this._createGraph();
+    }
+    return this.graphReady;
   }
 
-  async init(stream) {
+  async _createGraph() {
     this.audioContext = new AudioContext();
     this.analyser = this.audioContext.createAnalyser();
     this.analyser.fftSize = CONFIG.fftSize;
     this.analyser.smoothingTimeConstant = CONFIG.smoothing;
 
-    const source = this.audioContext.createMediaStreamSource(stream);
-    source.connect(this.analyser);
+    this.monitorGain = this.audioContext.createGain();
+    this.monitorGain.gain.value = 0;
+    this.analyser.connect(this.monitorGain);
+    this.monitorGain.connect(this.audioContext.destination);
 
     this.freqData = new Uint8Array(this.analyser.frequencyBinCount);
     this.timeData = new Float32Array(this.analyser.fftSize);
+
+    if (CONFIG.useAudioWorklet && this.audioContext.audioWorklet) {
+      try {
+        await this._createFeatureNode();
+      } catch (error) {
+        console.warn("AudioWorklet unavailable, analysing on the main thread:", error);
+        this.featureNode = null;
+      }
+    }
+  }
+
+  async _createFeatureNode() {
+    await this.audioContext.audioWorklet.addModule(new URL("feature-worklet.js", import.meta.url));
+    const node = new AudioWorkletNode(this.audioContext, "feature-extractor", {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [1],
+      processorOptions: {
+        fftSize: CONFIG.workletFftSize,
+        hopSize: CONFIG.workletHopSize,
+        smoothing: CONFIG.workletSmoothing,
+        minDecibels: this.analyser.minDecibels,
+        maxDecibels: this.analyser.maxDecibels,
+        fluxExponent: CONFIG.fluxExponent,
+        fluxSensitivity: CONFIG.fluxSensitivity,
+        fluxDeltaFloor: CONFIG.fluxDeltaFloor,
+        fluxWindowMs: CONFIG.workletFluxWindowMs,
+        fluxMinWindowMs: CONFIG.workletFluxMinWindowMs,
+        framesPerMessage: CONFIG.workletFramesPerMessage,
+        bands: CONFIG.bands,
+        instruments: Object.values(CONFIG.onsetBands),
+      },
+    });
+    node.port.onmessage = (event) => {
+      this.featureQueue.push(event.data);
+      if (this.featureQueue.length > CONFIG.workletMaxQueue) {
+        this.featureQueue.shift();
+      }
+    };
+    this.analyser.connect(node);
+    node.connect(this.audioContext.destination);
+    this.featureNode = node;
+  }
+
+  _drainFeatureFrames() {
+    const measuredOffset = performance.now() - this.audioContext.currentTime * 1000;
+    this.clockOffset = this.clockOffset === null ? measuredOffset : lerp(this.clockOffset, measuredOffset, 0.05);
+
+    const bandCount = CONFIG.bands.length;
+    const names = Object.keys(CONFIG.onsetBands);
+    const frames = [];
+    this.featureQueue.forEach(({ frames: data, count, stride }) => {
+      for (let f = 0; f < count; f += 1) {
+        const offset = f * stride;
+        const instrumentFlux = {};
+        const instrumentOnsets = {};
+        names.forEach((name, index) => {
+          instrumentFlux[name] = data[offset + 5 + bandCount + index];
+          instrumentOnsets[name] = data[offset + 5 + bandCount + names.length + index] > 0;
+        });
+        frames.push({
+          time: this.clockOffset + data[offset] * 1000,
+          rms: data[offset + 1],
+          flux: data[offset + 2],
+          fluxDelta: data[offset + 3],
+          fluxOnset: data[offset + 4] > 0,
+          bandAverages: Array.from(data.subarray(offset + 5, offset + 5 + bandCount)),
+          instrumentFlux,
+          instrumentOnsets,
+        });
+      }
+    });
+    this.featureQueue = [];
+    return frames;
+  }
+
+  async _attachSource(source, monitor) {
+    if (this.source && this.source !== source) {
+      this.source.disconnect();
+    }
+    source.connect(this.analyser);
+    this.source = source;
+    this.setMonitor(monitor);
+    this._resetAnalysis();
+    if (this.audioContext.state === "suspended") {
+      await this.audioContext.resume();
+    }
+  }
+
+  _resetAnalysis() {
+    this.prevSpectrum = null;
+    this.fluxHistory = [];
+    this.prevFlux = 0;
+    this.lastBeatTime = 0;
+    this.lastFrameTime = 0;
+    this.featureQueue = [];
+    this.tempo.reset();
+    this.sections.reset();
+    this.harmony.reset();
+    Object.values(this.onsetDetectors).forEach((detector) => detector.reset());
+    this.gate.reset();
+    this.levelNormalizer.reset();
+    Object.values(this.bandNormalizers).forEach((normalizer) => normalizer.reset());
   }
 
   update() {
@@ -161,33 +585,23 @@ class AudioAnalyser {
       return this._emptyState();
     }
 
+    const frameNow = performance.now();
     this.analyser.getByteFrequencyData(this.freqData);
-    this.analyser.getFloatTimeDomainData(this.timeData);
+    this._ensureLayout();
 
-    let sumSquares = 0;
-    for (let i = 0; i < this.timeData.length; i += 1) {
-      const sample = this.timeData[i];
-      sumSquares += sample * sample;
-    }
-    const nextRms = Math.sqrt(sumSquares / this.timeData.length);
-    this.rms = lerp(this.rms, nextRms, 0.22);
-    this.rmsAverage = lerp(this.rmsAverage, nextRms, 0.05);
+    const frames = this.featureNode ? this._drainFeatureFrames() : [this._analyseFrame(frameNow)];
+    const features = this._consumeFrames(frames);
 
-    this._updateBands();
+    this.rms = lerp(this.rms, features.rms, 0.22);
+    this.rmsAverage = lerp(this.rmsAverage, features.rms, 0.05);
+    this.bands = features.bands;
+    this.bandEnergy = features.bandEnergy;
     this._updateBrightness();
 
-    const normalized = clamp(Math.pow(nextRms * CONFIG.levelScale, CONFIG.levelExponent), 0, 1);
+    const normalized = features.level;
     this.levelAverage = lerp(this.levelAverage, normalized, 0.06);
     this.level = lerp(this.level, normalized, 0.4);
 
-    const frameNow = performance.now();
-    if (normalized > 0.035) {
-      this.lastAudioActive = frameNow;
-    }
-
-    const flux = this._calculateFlux();
-    const { threshold: fluxThreshold, delta: fluxDelta } = this._updateFluxHistory(flux);
-
     const beatDelta = Math.max(0, normalized - this.levelAverage * 1.01);
     const energyContribution = normalized * (
       this.bandEnergy.low * 0.24 +
@@ -196,32 +610,48 @@ class AudioAnalyser {
     );
     const targetBeatPulse = clamp(
       beatDelta * CONFIG.beatDeltaGain +
-        Math.max(0, fluxDelta) * CONFIG.fluxPulseGain +
+        Math.max(0, features.fluxDelta) * CONFIG.fluxPulseGain +
         energyContribution,
       0,
       1,
     );
     this.beatPulse = lerp(this.beatPulse, targetBeatPulse, 0.36);
 
-    const beatDetected = this._detectBeat(
-      normalized,
-      flux,
-      fluxThreshold,
-      fluxDelta,
-      this.bandEnergy,
-      frameNow,
-    );
+    const beatDetected = features.beatDetected;
     if (beatDetected) {
       this.beatPulse = Math.min(1, this.beatPulse + 0.34);
     }
     this.beatDetected = beatDetected;
 
-    const frequencies = new Float32Array(CONFIG.barCount);
-    const step = Math.max(1, Math.floor(this.freqData.length / CONFIG.barCount));
-    for (let i = 0; i < CONFIG.barCount; i += 1) {
-      const value = this.freqData[i * step] / 255;
-      frequencies[i] = Math.pow(value, 0.62);
-    }
+    const tempo = this.tempo.read(frameNow);
+
+    const onsets = {};
+    Object.entries(this.onsetDetectors).forEach(([name, detector]) => {
+      onsets[name] = {
+        detected: features.onsetHits[name] ?? false,
+        envelope: detector.read(frameNow),
+        flux: detector.lastFlux,
+        time: detector.lastOnset,
+      };
+    });
+
+    const section = this.sections.update(
+      {
+        level: normalized,
+        low: this.bandEnergy.low,
+        onset: beatDetected || Object.values(onsets).some((onset) => onset.detected),
+      },
+      frameNow,
+    );
+
+    const harmony = this.harmony.update(
+      this.freqData,
+      this.analyser,
+      frameNow,
+      this.gate.open && normalized > CONFIG.audioActiveLevel,
+    );
+
+    const frequencies = this._computeBars();
 
     return {
       rms: this.rms,
@@ -229,45 +659,206 @@ class AudioAnalyser {
       level: this.level,
       beatPulse: this.beatPulse,
       brightness: this.brightness,
-      bpm: this.bpm,
+      bpm: tempo.bpm,
       beatDetected,
+      beatTime: this.lastBeatTime,
+      beatPhase: tempo.phase,
+      beatIndex: tempo.beatIndex,
+      beatInBar: tempo.beatInBar,
+      barPhase: tempo.barPhase,
+      beatTick: tempo.beatTick,
+      barTick: tempo.barTick,
+      tempoConfidence: tempo.confidence,
+      tempoLocked: tempo.locked,
+      onsets,
+      section,
+      harmony,
       bandEnergy: this.bandEnergy,
+      bands: this.bands,
+      agc: this._agcState(),
+      analysisMode: this.featureNode ? "worklet" : "main",
       frequencies,
     };
   }
 
-  _updateBands() {
-    const len = this.freqData.length;
-    const lowEnd = Math.floor(len * 0.12);
-    const midEnd = Math.floor(len * 0.45);
-    let lowSum = 0;
-    let midSum = 0;
-    let highSum = 0;
-
-    for (let i = 0; i < len; i += 1) {
-      const value = this.freqData[i] / 255;
-      if (i < lowEnd) {
-        lowSum += value;
-      } else if (i < midEnd) {
-        midSum += value;
-      } else {
-        highSum += value;
+  _analyseFrame(frameNow) {
+    this.analyser.getFloatTimeDomainData(this.timeData);
+    let sumSquares = 0;
+    for (let i = 0; i < this.timeData.length; i += 1) {
+      const sample = this.timeData[i];
+      sumSquares += sample * sample;
+    }
+
+    const bandAverages = this.bandLayout.map(({ start, end }) => {
+      let sum = 0;
+      for (let i = start; i < end; i += 1) {
+        sum += this.freqData[i] / 255;
       }
+      return sum / Math.max(end - start, 1);
+    });
+
+    const flux = this._calculateFlux();
+    const { threshold, delta } = this._updateFluxHistory(flux);
+    const fluxOnset = threshold !== Infinity && delta > CONFIG.fluxDeltaFloor && flux > this.prevFlux;
+    this.prevFlux = flux;
+
+    const binHz = this.audioContext.sampleRate / this.analyser.fftSize;
+    const instrumentFlux = {};
+    const instrumentOnsets = {};
+    Object.entries(this.onsetDetectors).forEach(([name, detector]) => {
+      const onset = detector.detect(this.freqData, binHz, frameNow);
+      instrumentFlux[name] = onset.flux;
+      instrumentOnsets[name] = onset.detected;
+    });
+
+    return {
+      time: frameNow,
+      rms: Math.sqrt(sumSquares / this.timeData.length),
+      flux,
+      fluxDelta: delta,
+      fluxOnset,
+      bandAverages,
+      instrumentFlux,
+      instrumentOnsets,
+    };
+  }
+
+  _consumeFrames(frames) {
+    if (frames.length === 0) {
+      return { ...this.lastFeatures, beatDetected: false, onsetHits: {} };
+    }
+
+    let sumSquares = 0;
+    let levelSum = 0;
+    let fluxDelta = -Infinity;
+    let beatDetected = false;
+    const bandSums = {};
+    const onsetHits = {};
+
+    frames.forEach((frame) => {
+      const dt = this.lastFrameTime ? Math.max(0, frame.time - this.lastFrameTime) : 0;
+      this.lastFrameTime = frame.time;
+      const gateGain = this.gate.update(frame.rms, frame.time, dt);
+
+      const levelInput = CONFIG.agcEnabled
+        ? this.levelNormalizer.process(frame.rms, dt, this.gate.open)
+        : clamp(frame.rms * CONFIG.levelScale, 0, 1);
+      const level = clamp(Math.pow(levelInput, CONFIG.levelExponent) * gateGain, 0, 1);
+      const { bands, bandEnergy } = this._normalizeBands(frame.bandAverages, dt, gateGain);
+
+      const detected = this.gate.open && this._detectBeat(level, frame.fluxOnset, bandEnergy, frame.time);
+      this.tempo.observe(frame.flux, detected, level > CONFIG.audioActiveLevel, frame.time);
+      beatDetected = beatDetected || detected;
+
+      Object.entries(this.onsetDetectors).forEach(([name, detector]) => {
+        const hit = Boolean(frame.instrumentOnsets[name]) && this.gate.open;
+        detector.record(hit, frame.instrumentFlux[name], frame.time);
+        onsetHits[name] = onsetHits[name] || hit;
+      });
+
+      sumSquares += frame.rms * frame.rms;
+      levelSum += level;
+      fluxDelta = Math.max(fluxDelta, frame.fluxDelta);
+      Object.entries(bands).forEach(([name, value]) => {
+        bandSums[name] = (bandSums[name] ?? 0) + value;
+      });
+    });
+
+    const count = frames.length;
+    const bands = {};
+    Object.entries(bandSums).forEach(([name, sum]) => {
+      bands[name] = sum / count;
+    });
+    this.lastFeatures = {
+      rms: Math.sqrt(sumSquares / count),
+      level: levelSum / count,
+      fluxDelta,
+      bands,
+      bandEnergy: this._groupBands(bands),
+    };
+    return { ...this.lastFeatures, beatDetected, onsetHits };
+  }
+
+  _ensureLayout() {
+    const binHz = this.audioContext.sampleRate / this.analyser.fftSize;
+    if (this.layoutBinHz === binHz) return;
+    this.layoutBinHz = binHz;
+
+    const binCount = this.freqData.length;
+    this.harmony.configure(binHz, binCount);
+    const toBin = (hz) => clamp(hz / binHz, 0, binCount - 1);
+    this.bandLayout = CONFIG.bands.map(({ name, minHz, maxHz }) => {
+      const start = Math.max(1, Math.floor(toBin(minHz)));
+      const end = Math.max(start + 1, Math.ceil(toBin(maxHz)));
+      return { name, start, end: Math.min(end, binCount) };
+    });
+
+    const toScale = CONFIG.spectrumScale === "mel" ? hzToMel : Math.log;
+    const fromScale = CONFIG.spectrumScale === "mel" ? melToHz : Math.exp;
+    const minScaled = toScale(CONFIG.spectrumMinHz);
+    const maxScaled = toScale(Math.min(CONFIG.spectrumMaxHz, this.audioContext.sampleRate / 2));
+    this.barLayout = [];
+    for (let i = 0; i < CONFIG.barCount; i += 1) {
+      const lowHz = fromScale(lerp(minScaled, maxScaled, i / CONFIG.barCount));
+      const highHz = fromScale(lerp(minScaled, maxScaled, (i + 1) / CONFIG.barCount));
+      this.barLayout.push({ from: toBin(lowHz), to: toBin(highHz) });
     }
+  }
 
-    const lowCount = Math.max(lowEnd, 1);
-    const midCount = Math.max(midEnd - lowEnd, 1);
-    const highCount = Math.max(len - midEnd, 1);
+  _normalizeBands(bandAverages, dt, gateGain) {
+    const bands = {};
+    CONFIG.bands.forEach(({ name }, index) => {
+      const avg = bandAverages[index] ?? 0;
+      const scaled = CONFIG.agcEnabled
+        ? this.bandNormalizers[name].process(avg, dt, this.gate.open)
+        : clamp(avg * CONFIG.bandGain, 0, 1);
+      bands[name] = Math.pow(scaled, CONFIG.bandExponent) * gateGain;
+    });
+    return { bands, bandEnergy: this._groupBands(bands) };
+  }
 
-    const convert = (sum, count) => {
-      const avg = sum / count;
-      return Math.pow(clamp(avg * CONFIG.bandGain, 0, 1), CONFIG.bandExponent);
+  _groupBands(bands) {
+    const group = (names) => {
+      const values = names.filter((name) => name in bands).map((name) => bands[name]);
+      return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    };
+    return {
+      low: group(CONFIG.bandGroups.low),
+      mid: group(CONFIG.bandGroups.mid),
+      high: group(CONFIG.bandGroups.high),
     };
+  }
+
+  _computeBars() {
+    const frequencies = new Float32Array(CONFIG.barCount);
+    this.barLayout.forEach(({ from, to }, index) => {
+      let value;
+      const start = Math.ceil(from);
+      const end = Math.floor(to);
+      if (end - start >= 1) {
+        let sum = 0;
+        for (let i = start; i <= end; i += 1) {
+          sum += this.freqData[i];
+        }
+        value = sum / (end - start + 1);
+      } else {
+        const center = (from + to) * 0.5;
+        const lower = Math.floor(center);
+        const upper = Math.min(lower + 1, this.freqData.length - 1);
+        value = lerp(this.freqData[lower], this.freqData[upper], center - lower);
+      }
+      frequencies[index] = Math.pow(value / 255, 0.62);
+    });
+    return frequencies;
+  }
 
-    this.bandEnergy = {
-      low: convert(lowSum, lowCount),
-      mid: convert(midSum, midCount),
-      high: convert(highSum, highCount),
+  _agcState() {
+    return {
+      enabled: CONFIG.agcEnabled,
+      gainDb: CONFIG.agcEnabled ? this.levelNormalizer.gainDb : 20 * Math.log10(CONFIG.levelScale),
+      inputDb: this.gate.levelDb,
+      gateOpen: this.gate.open,
+      gateGain: this.gate.gain,
     };
   }
 
@@ -326,42 +917,20 @@ class AudioAnalyser {
     return { threshold, delta };
   }
 
-  _detectBeat(levelSample, flux, threshold, delta, bandEnergy, frameNow) {
-    const fluxActive = threshold !== Infinity && delta > CONFIG.fluxDeltaFloor;
-    const rising = flux > this.prevFlux;
+  _detectBeat(levelSample, fluxOnset, bandEnergy, time) {
     const energyScore = bandEnergy.low * 0.5 + bandEnergy.mid * 0.35 + bandEnergy.high * 0.25;
     const levelOk = levelSample > CONFIG.beatLevelFloor;
     const energyOk = energyScore > CONFIG.beatEnergyFloor;
     let detected = false;
 
-    if (fluxActive && rising && (levelOk || energyOk)) {
-      const interval = frameNow - this.lastBeatTime;
+    if (fluxOnset && (levelOk || energyOk)) {
+      const interval = time - this.lastBeatTime;
       if (this.lastBeatTime === 0 || interval > CONFIG.beatMinIntervalMs) {
         detected = true;
-        if (this.lastBeatTime > 0 && interval < CONFIG.beatMaxIntervalMs) {
-          this.beatIntervals.push(interval);
-          if (this.beatIntervals.length > CONFIG.bpmWindow) {
-            this.beatIntervals.shift();
-          }
-          const avg = this.beatIntervals.reduce((a, b) => a + b, 0) / this.beatIntervals.length;
-          const targetBpm = clamp(60000 / Math.max(avg, 1), 50, 200);
-          this.bpm = this.bpm === 0 ? Math.round(targetBpm) : Math.round(lerp(this.bpm, targetBpm, CONFIG.bpmSmoothing));
-        }
-        this.lastBeatTime = frameNow;
-      }
-    }
-
-    if (!detected) {
-      const sinceBeat = frameNow - this.lastBeatTime;
-      const silence = frameNow - this.lastAudioActive > CONFIG.beatSilenceResetMs;
-      if ((this.lastBeatTime > 0 && sinceBeat > CONFIG.beatSilenceResetMs) || silence) {
-        this.beatIntervals = [];
-        this.lastBeatTime = 0;
-        this.bpm = 0;
+        this.lastBeatTime = time;
       }
     }
 
-    this.prevFlux = flux;
     return detected;
   }
 
@@ -374,491 +943,3600 @@ class AudioAnalyser {
       brightness: 0,
       bpm: 0,
       beatDetected: false,
+      beatTime: 0,
+      beatPhase: 0,
+      beatIndex: 0,
+      beatInBar: 0,
+      barPhase: 0,
+      beatTick: false,
+      barTick: false,
+      tempoConfidence: 0,
+      tempoLocked: this.tempo.locked,
+      onsets: Object.fromEntries(
+        Object.keys(CONFIG.onsetBands).map((name) => [name, { detected: false, envelope: 0, flux: 0, time: 0 }]),
+      ),
+      section: this.sections.emptyState(),
+      harmony: this.harmony.emptyState(),
       bandEnergy: { low: 0, mid: 0, high: 0 },
+      bands: Object.fromEntries(CONFIG.bands.map(({ name }) => [name, 0])),
+      agc: { enabled: CONFIG.agcEnabled, gainDb: 0, inputDb: -Infinity, gateOpen: false, gateGain: 0 },
+      analysisMode: "main",
       frequencies: new Float32Array(CONFIG.barCount),
     };
   }
 }
 
-class PoseTracker {
+class NoiseGate {
   constructor() {
-    this.previousEnergy = 0;
+    this.reset();
   }
 
-  update(result) {
-    if (!result || !result.landmarks || result.landmarks.length === 0) {
-      this.previousEnergy = lerp(this.previousEnergy, 0, CONFIG.motionSmoothing);
-      return {
-        motionEnergy: this.previousEnergy,
-        centroid: null,
-      };
+  reset() {
+    this.open = !CONFIG.gateEnabled;
+    this.gain = this.open ? 1 : 0;
+    this.lastAbove = 0;
+    this.levelDb = -Infinity;
+  }
+
+  update(rms, now, dt) {
+    this.levelDb = 20 * Math.log10(Math.max(rms, 1e-8));
+    if (!CONFIG.gateEnabled) {
+      this.open = true;
+      this.gain = 1;
+      return this.gain;
     }
 
-    const landmarks = result.landmarks[0];
-    let energy = 0;
-    let centroidX = 0;
-    let centroidY = 0;
+    if (this.levelDb > CONFIG.gateThresholdDb) {
+      this.open = true;
+      this.lastAbove = now;
+    } else if (
+      this.open &&
+      this.levelDb < CONFIG.gateThresholdDb - CONFIG.gateHysteresisDb &&
+      now - this.lastAbove > CONFIG.gateHoldMs
+    ) {
+      this.open = false;
+    }
 
-    landmarks.forEach((lm) => {
-      centroidX += lm.x;
-      centroidY += lm.y;
-    });
+    const blend = 1 - Math.exp(-dt / CONFIG.gateFadeMs);
+    this.gain = lerp(this.gain, this.open ? 1 : 0, blend);
+    return this.gain;
+  }
+}
 
-    const count = landmarks.length || 1;
-    centroidX /= count;
-    centroidY /= count;
+class AdaptiveNormalizer {
+  constructor(floor) {
+    this.floor = floor;
+    this.reset();
+  }
 
-    if (result.worldLandmarks && result.worldLandmarks.length) {
-      const indices = [11, 12, 13, 14, 15, 16];
-      indices.forEach((idx) => {
-        const lm = result.worldLandmarks[0][idx];
-        const mag = Math.hypot(lm.x, lm.y, lm.z);
-        energy += mag;
-      });
-      energy /= indices.length;
-    }
+  reset() {
+    this.peak = this.floor;
+  }
 
-    this.previousEnergy = lerp(this.previousEnergy, energy, 0.18);
-    return {
-      motionEnergy: this.previousEnergy,
-      centroid: { x: centroidX, y: centroidY },
-    };
+  get gainDb() {
+    return 20 * Math.log10(CONFIG.agcTarget / this.peak);
+  }
+
+  process(value, dt, adapt) {
+    if (adapt && dt > 0) {
+      const timeConstant = value > this.peak ? CONFIG.agcAttackMs : CONFIG.agcReleaseMs;
+      this.peak = Math.max(this.floor, lerp(this.peak, value, 1 - Math.exp(-dt / timeConstant)));
+    }
+    return clamp((value / this.peak) * CONFIG.agcTarget, 0, 1);
   }
 }
 
-class HandGestureTracker {
+class TempoTracker {
   constructor() {
-    this.previousHands = new Map();
-    this.paths = {
-      Left: [],
-      Right: [],
-    };
+    this.envelope = new Float32Array(Math.round(CONFIG.tempoWindowMs / CONFIG.tempoHopMs));
+    this.scratch = new Float32Array(this.envelope.length);
+    this.locked = false;
+    this.manual = false;
+    this.tapTimes = [];
+    this.reset();
   }
 
-  update(result) {
-    const hands = [];
-    if (!result || !result.landmarks || result.landmarks.length === 0) {
-      this._fadeTrails();
-      this.previousHands.clear();
-      return { hands, paths: this.paths, summary: this._buildSummary(hands) };
+  reset() {
+    this.envelope.fill(0);
+    this.writeIndex = 0;
+    this.filled = 0;
+    this.pending = 0;
+    this.lastSampleTime = 0;
+    this.lastEstimateTime = 0;
+    this.lastActiveTime = 0;
+    this.lastTime = 0;
+    this.confidence = 0;
+    this.candidateBpm = 0;
+    this.candidateCount = 0;
+    this.awaitingAlign = false;
+    this.phaseMisses = 0;
+    this.pendingTicks = 0;
+    this.pendingBarTick = false;
+    if (!this.locked && !this.manual) {
+      this.bpm = 0;
+      this.period = 0;
+      this.phase = 0;
+      this.beatIndex = 0;
+      this.octaveAnchored = false;
     }
+  }
 
-    result.landmarks.forEach((landmarks, index) => {
-      const handedness = result.handedness?.[index]?.categoryName || "Unknown";
-      const handId = `${handedness}-${index}`;
-      const prev = this.previousHands.get(handId);
+  tap(now) {
+    const lastTap = this.tapTimes[this.tapTimes.length - 1];
+    if (lastTap && now - lastTap > CONFIG.tapResetMs) {
+      this.tapTimes = [];
+    }
+    this.tapTimes.push(now);
+    if (this.tapTimes.length > CONFIG.tapWindow) {
+      this.tapTimes.shift();
+    }
 
-      const normalized = this._computeMetrics(landmarks, handedness, prev);
-      hands.push(normalized);
-      this.previousHands.set(handId, normalized);
-      this._pushTrail(handedness, normalized.indexTip);
-    });
+    if (this.phase > 0.5) {
+      this.beatIndex += 1;
+    }
+    this.phase = 0;
+    this.awaitingAlign = false;
+    this.phaseMisses = 0;
+
+    const taps = this.tapTimes.length;
+    if (taps >= 2) {
+      const interval = (this.tapTimes[taps - 1] - this.tapTimes[0]) / (taps - 1);
+      this.setBpm(60000 / interval);
+    }
+  }
 
-    this._fadeTrails();
-    return { hands, paths: this.paths, summary: this._buildSummary(hands) };
+  setBpm(bpm) {
+    if (!Number.isFinite(bpm) || bpm <= 0) return;
+    this.bpm = clamp(bpm, CONFIG.manualMinBpm, CONFIG.manualMaxBpm);
+    this.period = 60000 / this.bpm;
+    this.candidateCount = 0;
+    this.octaveAnchored = true;
+    this.manual = true;
   }
 
-  _computeMetrics(landmarks, handedness, prev) {
-    const thumbTip = landmarks[4];
-    const indexTip = landmarks[8];
-    const pinkyTip = landmarks[20];
-    const wrist = landmarks[0];
+  scaleTempo(factor) {
+    if (this.bpm <= 0) return;
+    if (factor > 1) {
+      const doubled = this.phase * 2;
+      this.beatIndex = this.beatIndex * 2 + (doubled >= 1 ? 1 : 0);
+      this.phase = doubled % 1;
+    } else {
+      this.phase = (this.phase + (this.beatIndex % 2)) / 2;
+      this.beatIndex = Math.floor(this.beatIndex / 2);
+    }
+    this.setBpm(this.bpm * factor);
+  }
 
-    const pinchDistance = distance2D(thumbTip, indexTip);
-    const pinch = clamp(1 - pinchDistance * 4, 0, 1);
+  nudge(beats) {
+    if (this.period <= 0) return;
+    this.phase += beats;
+    while (this.phase < 0) {
+      this.phase += 1;
+      this.beatIndex = Math.max(0, this.beatIndex - 1);
+    }
+  }
 
-    const extensionPairs = [
-      [8, 6],
-      [12, 10],
-      [16, 14],
-      [20, 18],
-    ];
-    let extensionSum = 0;
-    extensionPairs.forEach(([tipIdx, pipIdx]) => {
-      extensionSum += distance2D(landmarks[tipIdx], landmarks[pipIdx]);
-    });
-    const extension = clamp((extensionSum / extensionPairs.length) * 8, 0, 1);
+  setLocked(locked) {
+    this.locked = locked;
+    this.candidateCount = 0;
+  }
 
-    const direction = {
-      x: indexTip.x - wrist.x,
-      y: indexTip.y - wrist.y,
-    };
+  update(flux, onset, active, now) {
+    this.observe(flux, onset, active, now);
+    return this.read(now);
+  }
 
-    const velocity = prev
-      ? {
-          x: (indexTip.x - prev.indexTip.x) * 60,
-          y: (indexTip.y - prev.indexTip.y) * 60,
+  observe(flux, onset, active, time) {
+    this._pushEnvelope(flux, time);
+    if (active) {
+      this.lastActiveTime = time;
+      if (!this.locked && time - this.lastEstimateTime > CONFIG.tempoEstimateIntervalMs) {
+        this._estimate();
+        this.lastEstimateTime = time;
+      }
+    }
+
+    if (!this.locked && !this.manual && this.bpm > 0 && time - this.lastActiveTime > CONFIG.tempoHoldMs) {
+      this.reset();
+    }
+
+    this._advance(time);
+    if (this.period > 0 && onset) {
+      // Onsets arrive in worklet batches, so the grid may already have advanced past the onset time.
+      const lag = Math.max(0, this.lastTime - time) / this.period;
+      if (this.awaitingAlign) {
+        this.phase = 1 + lag;
+        this.awaitingAlign = false;
+        this.phaseMisses = 0;
+      } else {
+        const onsetPhase = this.phase - lag;
+        const wrapped = onsetPhase - Math.floor(onsetPhase);
+        const error = wrapped < 0.5 ? wrapped : wrapped - 1;
+        if (Math.abs(error) < CONFIG.tempoPhaseWindow) {
+          this.phase -= error * CONFIG.tempoPhaseGain * (0.5 + this.confidence * 0.5);
+          this.phaseMisses = 0;
+        } else {
+          this.phaseMisses += 1;
+          this.awaitingAlign = this.phaseMisses >= CONFIG.tempoRealignMisses;
         }
-      : { x: 0, y: 0 };
-    const speed = Math.hypot(velocity.x, velocity.y);
+      }
+      this._wrapPhase();
+    }
+  }
 
-    const spread = clamp(distance2D(indexTip, pinkyTip) * 3, 0, 1);
-    const gesture = spread > 0.45 && extension > 0.45 && pinch < 0.65 ? 'open' : 'closed';
+  read(now) {
+    this._advance(now);
+    const beatTick = this.pendingTicks > 0;
+    const barTick = this.pendingBarTick;
+    this.pendingTicks = 0;
+    this.pendingBarTick = false;
 
+    const beatInBar = this.beatIndex % CONFIG.beatsPerBar;
     return {
-      handedness,
-      pinch,
-      spread,
-      extension,
-      gesture,
-      indexTip: { x: indexTip.x, y: indexTip.y },
-      thumbTip: { x: thumbTip.x, y: thumbTip.y },
-      palmCenter: midpoint(wrist, indexTip),
-      direction,
-      velocity,
-      speed,
-      rawLandmarks: landmarks,
+      bpm: Math.round(this.bpm * 10) / 10,
+      phase: this.phase,
+      beatIndex: this.beatIndex,
+      beatInBar,
+      barPhase: (beatInBar + this.phase) / CONFIG.beatsPerBar,
+      beatTick,
+      barTick,
+      confidence: this.confidence,
+      locked: this.locked,
     };
   }
 
-  _pushTrail(handedness, point) {
-    if (!point) return;
-    const list = this.paths[handedness] || (this.paths[handedness] = []);
-    list.push({ x: point.x, y: point.y, life: 1 });
-    if (list.length > CONFIG.fingerTrailLength) {
-      list.shift();
+  _advance(time) {
+    if (this.lastTime && time > this.lastTime && this.period > 0) {
+      this.phase += (time - this.lastTime) / this.period;
     }
+    this.lastTime = Math.max(this.lastTime, time);
+    this._wrapPhase();
   }
 
-  _fadeTrails() {
-    Object.values(this.paths).forEach((trail) => {
-      for (let i = trail.length - 1; i >= 0; i -= 1) {
-        trail[i].life -= 0.03;
-        if (trail[i].life <= 0) {
-          trail.splice(i, 1);
-        }
+  _wrapPhase() {
+    while (this.phase >= 1) {
+      this.phase -= 1;
+      this.beatIndex += 1;
+      this.pendingTicks += 1;
+      if (this.beatIndex % CONFIG.beatsPerBar === 0) {
+        this.pendingBarTick = true;
       }
-    });
+    }
   }
 
-  _buildSummary(hands) {
-    const left = hands.find((hand) => hand.handedness === "Left");
-    const right = hands.find((hand) => hand.handedness === "Right");
-    let distance = 0;
-    let angle = 0;
-    if (left && right) {
-      distance = distance2D(left.palmCenter, right.palmCenter);
-      angle = Math.atan2(right.palmCenter.y - left.palmCenter.y, right.palmCenter.x - left.palmCenter.x);
+  _pushEnvelope(flux, now) {
+    const hop = CONFIG.tempoHopMs;
+    if (!this.lastSampleTime || now - this.lastSampleTime > CONFIG.tempoWindowMs) {
+      this.lastSampleTime = now - hop;
+    }
+    this.pending = Math.max(this.pending, flux);
+    while (now - this.lastSampleTime >= hop) {
+      this.envelope[this.writeIndex] = this.pending;
+      this.writeIndex = (this.writeIndex + 1) % this.envelope.length;
+      this.filled = Math.min(this.filled + 1, this.envelope.length);
+      this.lastSampleTime += hop;
+      this.pending = flux;
+    }
+  }
+
+  _estimate() {
+    const hop = CONFIG.tempoHopMs;
+    const minLag = Math.floor(60000 / CONFIG.tempoMaxBpm / hop);
+    const maxLag = Math.ceil(60000 / CONFIG.tempoMinBpm / hop);
+    const count = this.filled;
+    if (count < maxLag * 3) return;
+
+    const length = this.envelope.length;
+    const series = this.scratch;
+    let mean = 0;
+    for (let i = 0; i < count; i += 1) {
+      series[i] = this.envelope[(this.writeIndex - count + i + length) % length];
+      mean += series[i];
+    }
+    mean /= count;
+    let variance = 0;
+    for (let i = 0; i < count; i += 1) {
+      series[i] -= mean;
+      variance += series[i] * series[i];
+    }
+    variance /= count;
+    if (variance <= 1e-12) return;
+
+    const scores = new Float32Array(maxLag + 2);
+    let bestLag = 0;
+    let bestScore = 0;
+    for (let lag = minLag; lag <= maxLag + 1; lag += 1) {
+      let sum = 0;
+      for (let i = lag; i < count; i += 1) {
+        sum += series[i] * series[i - lag];
+      }
+      const correlation = sum / (count - lag) / variance;
+      const lagBpm = 60000 / (lag * hop);
+      const octaves = Math.log2(lagBpm / CONFIG.tempoPriorBpm) / CONFIG.tempoPriorWidth;
+      scores[lag] = Math.max(0, correlation) * Math.exp(-0.5 * octaves * octaves);
+      if (lag <= maxLag && scores[lag] > bestScore) {
+        bestScore = scores[lag];
+        bestLag = lag;
+      }
+    }
+
+    this.confidence = lerp(this.confidence, clamp(bestScore, 0, 1), 0.3);
+    if (bestLag === 0 || bestScore < CONFIG.tempoMinConfidence) return;
+
+    let refinedLag = bestLag;
+    if (bestLag > minLag) {
+      const prev = scores[bestLag - 1];
+      const next = scores[bestLag + 1];
+      const denom = prev - 2 * bestScore + next;
+      if (denom < 0) {
+        refinedLag += clamp((0.5 * (prev - next)) / denom, -0.5, 0.5);
+      }
+    }
+    this._lockTempo(60000 / (refinedLag * hop));
+  }
+
+  _lockTempo(estimate) {
+    if (this.octaveAnchored && this.bpm > 0) {
+      while (estimate > this.bpm * Math.SQRT2) estimate /= 2;
+      while (estimate < this.bpm / Math.SQRT2) estimate *= 2;
+    }
+
+    if (this.bpm === 0) {
+      this.bpm = estimate;
+      this.awaitingAlign = true;
+    } else if (Math.abs(estimate - this.bpm) / this.bpm < CONFIG.tempoLockTolerance) {
+      this.bpm = lerp(this.bpm, estimate, CONFIG.tempoSmoothing);
+      this.candidateCount = 0;
+      this.manual = false;
+    } else {
+      const sameCandidate =
+        this.candidateBpm > 0 && Math.abs(estimate - this.candidateBpm) / this.candidateBpm < CONFIG.tempoLockTolerance;
+      this.candidateBpm = sameCandidate ? lerp(this.candidateBpm, estimate, 0.5) : estimate;
+      this.candidateCount = sameCandidate ? this.candidateCount + 1 : 1;
+      const ratio = this.candidateBpm / this.bpm;
+      const octaveJump = Math.abs(ratio - 2) < 0.1 || Math.abs(ratio - 0.5) < 0.05;
+      if (this.candidateCount >= CONFIG.tempoSwitchEstimates * (octaveJump ? 3 : 1)) {
+        this.bpm = this.candidateBpm;
+        this.candidateCount = 0;
+        this.awaitingAlign = true;
+        this.manual = false;
+      }
+    }
+    this.period = 60000 / this.bpm;
+  }
+}
+
+class SectionDetector {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.name = "ambient";
+    this.since = performance.now();
+    this.energyShort = 0;
+    this.energyLong = 0;
+    this.lowShort = 0;
+    this.lowLong = 0;
+    this.onsetTimes = [];
+    this.trend = [];
+    this.lastTrendSample = 0;
+    this.lastTime = 0;
+    this.buildStalledAt = 0;
+  }
+
+  update({ level, low, onset }, now) {
+    const dt = this.lastTime ? Math.min(now - this.lastTime, 250) : 0;
+    this.lastTime = now;
+    const ease = (tau) => 1 - Math.exp(-dt / tau);
+    this.energyShort = lerp(this.energyShort, level, ease(CONFIG.sectionShortMs));
+    this.energyLong = lerp(this.energyLong, level, ease(CONFIG.sectionLongMs));
+    this.lowShort = lerp(this.lowShort, low, ease(CONFIG.sectionShortMs));
+    this.lowLong = lerp(this.lowLong, low, ease(CONFIG.sectionLongMs));
+
+    if (onset) {
+      this.onsetTimes.push(now);
+    }
+    while (this.onsetTimes.length && now - this.onsetTimes[0] > CONFIG.sectionDensityWindowMs) {
+      this.onsetTimes.shift();
+    }
+    const density = this.onsetTimes.length / (CONFIG.sectionDensityWindowMs / 1000);
+
+    if (now - this.lastTrendSample >= CONFIG.sectionTrendSampleMs) {
+      this.lastTrendSample = now;
+      this.trend.push({ time: now, energy: this.energyShort, density });
+      while (this.trend.length && now - this.trend[0].time > CONFIG.sectionTrendWindowMs) {
+        this.trend.shift();
+      }
+    }
+    const energySlope = slopePerSecond(this.trend, "energy");
+    const densitySlope = slopePerSecond(this.trend, "density");
+
+    const previous = this.name;
+    const next = this._classify(energySlope, densitySlope, now);
+    const changed = next !== previous;
+    if (changed) {
+      this.name = next;
+      this.since = now;
+    }
+
+    return this._state(now, changed ? { from: previous, to: next, time: now } : null, energySlope, density);
+  }
+
+  emptyState() {
+    return this._state(performance.now(), null, 0, 0);
+  }
+
+  _classify(energySlope, densitySlope, now) {
+    const current = this.name;
+    const held = now - this.since >= CONFIG.sectionMinHoldMs;
+    const lowRatio = this.lowShort / Math.max(this.lowLong, 0.05);
+    const quiet = this.energyShort < CONFIG.sectionAmbientLevel;
+
+    const dropping =
+      this.lowShort > CONFIG.sectionDropLow &&
+      lowRatio > CONFIG.sectionDropRatio &&
+      this.energyShort > this.energyLong;
+    if (current !== "drop" && dropping && (current === "buildup" || held)) {
+      return "drop";
     }
 
+    if (current === "drop") {
+      const sustained = !quiet && this.lowShort > this.lowLong * CONFIG.sectionSustainRatio;
+      if (sustained || !held) return "drop";
+      return quiet ? "ambient" : "breakdown";
+    }
+
+    const building =
+      (energySlope > CONFIG.sectionBuildSlope || densitySlope > CONFIG.sectionBuildDensitySlope) &&
+      this.lowShort < CONFIG.sectionDropLow;
+    if (current === "buildup") {
+      if (building) {
+        this.buildStalledAt = 0;
+      } else if (!this.buildStalledAt) {
+        this.buildStalledAt = now;
+      }
+      const falling = energySlope <= -CONFIG.sectionBuildSlope;
+      const stalled = this.buildStalledAt > 0 && now - this.buildStalledAt >= CONFIG.sectionBuildStallMs;
+      const expired = now - this.since >= CONFIG.sectionBuildExpectedMs * CONFIG.sectionBuildMaxFactor;
+      if (!held || !(falling || stalled || expired)) return "buildup";
+      return quiet ? "ambient" : "breakdown";
+    }
+    if (building && !quiet && held) {
+      this.buildStalledAt = 0;
+      return "buildup";
+    }
+
+    if (!held) return current;
+    if (quiet) return "ambient";
+    return current;
+  }
+
+  _state(now, transition, energySlope, density) {
+    const elapsedMs = now - this.since;
     return {
-      handCount: hands.length,
-      left,
-      right,
-      distance,
-      angle,
+      name: this.name,
+      elapsedMs,
+      changed: transition !== null,
+      transition,
+      buildProgress: this.name === "buildup" ? clamp(elapsedMs / CONFIG.sectionBuildExpectedMs, 0, 1) : 0,
+      energy: this.energyShort,
+      trend: energySlope,
+      density,
     };
   }
 }
 
-class FaceExpressionTracker {
+class HarmonyAnalyser {
   constructor() {
-    this.prevBlinkTime = 0;
-    this.isBlinking = false;
-    this.blinkCount = 0;
+    this.bins = null;
+    this.pitchClasses = null;
+    this.chroma = new Float32Array(12);
+    this.keyChroma = new Float32Array(12);
+    this.frameChroma = new Float32Array(12);
+    this.reset();
   }
 
-  update(result) {
-    if (!result || !result.faceLandmarks || result.faceLandmarks.length === 0) {
-      this.isBlinking = false;
-      return this._empty();
+  configure(binHz, binCount) {
+    const bins = [];
+    const pitchClasses = [];
+    const weights = [];
+    const start = Math.max(1, Math.floor(CONFIG.chromaMinHz / binHz));
+    const end = Math.min(binCount - 1, Math.ceil(CONFIG.chromaMaxHz / binHz));
+    for (let i = start; i <= end; i += 1) {
+      const midi = 69 + 12 * Math.log2((i * binHz) / 440);
+      const lower = Math.floor(midi);
+      const fraction = midi - lower;
+      bins.push(i, i);
+      pitchClasses.push(((lower % 12) + 12) % 12, (((lower + 1) % 12) + 12) % 12);
+      weights.push(1 - fraction, fraction);
     }
+    this.bins = Uint16Array.from(bins);
+    this.pitchClasses = Uint8Array.from(pitchClasses);
+    this.weights = Float32Array.from(weights);
+  }
 
-    const landmarks = result.faceLandmarks[0];
-    const metrics = this._computeMetrics(landmarks);
-    this._updateBlink(metrics.eyeOpenness);
+  reset() {
+    this.chroma.fill(0);
+    this.keyChroma.fill(0);
+    this.key = null;
+    this.keyCandidate = null;
+    this.keyCandidateSince = 0;
+    this.chord = null;
+    this.chordCandidate = null;
+    this.chordCandidateSince = 0;
+    this.lastTime = 0;
+  }
+
+  update(freqData, analyser, now, active) {
+    const dt = this.lastTime ? Math.min(now - this.lastTime, 250) : 0;
+    this.lastTime = now;
+    if (!this.bins || !active) {
+      return this._state(false);
+    }
+
+    const frame = this.frameChroma;
+    frame.fill(0);
+    const range = analyser.maxDecibels - analyser.minDecibels;
+    for (let i = 0; i < this.bins.length; i += 1) {
+      const value = freqData[this.bins[i]];
+      if (value === 0) continue;
+      const decibels = analyser.minDecibels + (value / 255) * range;
+      frame[this.pitchClasses[i]] += Math.pow(10, decibels / 20) * this.weights[i];
+    }
+    let peak = 0;
+    for (let pc = 0; pc < 12; pc += 1) {
+      if (frame[pc] > peak) peak = frame[pc];
+    }
+    if (peak <= 0) {
+      return this._state(false);
+    }
+
+    const keyBlend = 1 - Math.exp(-dt / CONFIG.keyWindowMs);
+    for (let pc = 0; pc < 12; pc += 1) {
+      this.chroma[pc] = lerp(this.chroma[pc], frame[pc] / peak, CONFIG.chromaSmoothing);
+      this.keyChroma[pc] = lerp(this.keyChroma[pc], this.chroma[pc], keyBlend);
+    }
+
+    this._updateKey(now);
+    const chordChanged = this._updateChord(now);
+    return this._state(chordChanged);
+  }
+
+  emptyState() {
     return {
-      ...metrics,
-      blinkCount: this.blinkCount,
-      blinkTriggered: metrics.eyeOpenness < 0.22 && !this.isBlinking,
+      chroma: new Float32Array(12),
+      pitchClass: -1,
+      pitchName: null,
+      key: null,
+      chord: null,
+      chordChanged: false,
     };
   }
 
-  _computeMetrics(landmarks) {
-    const faceHeight = distance2D(landmarks[10], landmarks[152]) || 1;
+  _updateKey(now) {
+    let best = null;
+    Object.entries(KEY_PROFILES).forEach(([mode, profile]) => {
+      for (let tonic = 0; tonic < 12; tonic += 1) {
+        const score = pearson(this.keyChroma, (pc) => profile[(pc - tonic + 12) % 12]);
+        if (!best || score > best.score) {
+          best = { tonic, mode, score };
+        }
+      }
+    });
+    if (!best) return;
 
-    const leftEyeOpen = this._eyeOpenness(landmarks, 159, 145, 33, 133);
-    const rightEyeOpen = this._eyeOpenness(landmarks, 386, 374, 362, 263);
-    const eyeOpenness = clamp((leftEyeOpen + rightEyeOpen) * 0.5, 0, 1);
+    if (!this.key) {
+      this.key = best;
+      return;
+    }
+    if (best.tonic === this.key.tonic && best.mode === this.key.mode) {
+      this.key = best;
+      this.keyCandidate = null;
+      return;
+    }
 
-    const leftBrow = distance2D(landmarks[65], landmarks[159]) / faceHeight;
-    const rightBrow = distance2D(landmarks[295], landmarks[386]) / faceHeight;
-    const browRaise = clamp((leftBrow + rightBrow) * 2.8, 0, 1);
+    const profile = KEY_PROFILES[this.key.mode];
+    const currentScore = pearson(this.keyChroma, (pc) => profile[(pc - this.key.tonic + 12) % 12]);
+    this.key = { ...this.key, score: currentScore };
+    const sameCandidate = this.keyCandidate?.tonic === best.tonic && this.keyCandidate?.mode === best.mode;
+    if (best.score - currentScore < CONFIG.keySwitchMargin) {
+      this.keyCandidate = null;
+    } else if (!sameCandidate) {
+      this.keyCandidate = best;
+      this.keyCandidateSince = now;
+    } else if (now - this.keyCandidateSince >= CONFIG.keyHoldMs) {
+      this.key = best;
+      this.keyCandidate = null;
+    }
+  }
 
-    const mouthWidth = distance2D(landmarks[61], landmarks[291]) / faceHeight;
-    const mouthHeight = distance2D(landmarks[13], landmarks[14]) / faceHeight;
-    const smile = clamp((mouthWidth - 0.25) * 3, 0, 1);
-    const mouthOpen = clamp((mouthHeight - 0.02) * 12, 0, 1);
+  _updateChord(now) {
+    let norm = 0;
+    for (let pc = 0; pc < 12; pc += 1) {
+      norm += this.chroma[pc] * this.chroma[pc];
+    }
+    norm = Math.sqrt(norm) || 1;
+
+    let best = null;
+    let runnerUp = 0;
+    Object.entries(CHORD_TEMPLATES).forEach(([quality, intervals]) => {
+      for (let root = 0; root < 12; root += 1) {
+        let sum = 0;
+        intervals.forEach((interval) => {
+          sum += this.chroma[(root + interval) % 12];
+        });
+        const score = sum / (norm * Math.sqrt(intervals.length));
+        if (!best || score > best.score) {
+          runnerUp = best?.score ?? 0;
+          best = { root, quality, score };
+        } else if (score > runnerUp) {
+          runnerUp = score;
+        }
+      }
+    });
 
-    const leftCheek = landmarks[234];
-    const rightCheek = landmarks[454];
-    const roll = Math.atan2(rightCheek.y - leftCheek.y, rightCheek.x - leftCheek.x);
+    if (!best || best.score < CONFIG.chordMinScore || best.score - runnerUp < CONFIG.chordMinMargin) {
+      this.chordCandidate = null;
+      return false;
+    }
+    if (this.chord && this.chord.root === best.root && this.chord.quality === best.quality) {
+      this.chord = best;
+      this.chordCandidate = null;
+      return false;
+    }
+    const sameCandidate = this.chordCandidate?.root === best.root && this.chordCandidate?.quality === best.quality;
+    if (!sameCandidate) {
+      this.chordCandidate = best;
+      this.chordCandidateSince = now;
+      return false;
+    }
+    if (now - this.chordCandidateSince < CONFIG.chordHoldMs) {
+      return false;
+    }
+    this.chord = best;
+    this.chordCandidate = null;
+    return true;
+  }
+
+  _state(chordChanged) {
+    let pitchClass = -1;
+    let peak = 0;
+    for (let pc = 0; pc < 12; pc += 1) {
+      if (this.chroma[pc] > peak) {
+        peak = this.chroma[pc];
+        pitchClass = pc;
+      }
+    }
+    return {
+      chroma: this.chroma,
+      pitchClass,
+      pitchName: pitchClass >= 0 ? PITCH_CLASSES[pitchClass] : null,
+      key: this.key
+        ? {
+            tonic: this.key.tonic,
+            mode: this.key.mode,
+            name: `${PITCH_CLASSES[this.key.tonic]} ${this.key.mode}`,
+            confidence: clamp(this.key.score, 0, 1),
+          }
+        : null,
+      chord: this.chord
+        ? {
+            root: this.chord.root,
+            quality: this.chord.quality,
+            name: `${PITCH_CLASSES[this.chord.root]}${this.chord.quality === "minor" ? "m" : ""}`,
+            confidence: clamp(this.chord.score, 0, 1),
+          }
+        : null,
+      chordChanged,
+    };
+  }
+}
+
+class BandOnsetDetector {
+  constructor({ ranges, sensitivity, floor, cooldownMs, decayMs }) {
+    this.ranges = ranges;
+    this.sensitivity = sensitivity;
+    this.floor = floor;
+    this.cooldownMs = cooldownMs;
+    this.decayMs = decayMs;
+    this.reset();
+  }
+
+  reset() {
+    this.bins = null;
+    this.binHz = 0;
+    this.prevMagnitudes = null;
+    this.history = [];
+    this.prevFlux = 0;
+    this.lastOnset = 0;
+    this.lastFlux = 0;
+    this.envelope = 0;
+    this.envelopeTime = 0;
+    this.primed = false;
+  }
+
+  detect(freqData, binHz, now) {
+    if (!this.bins || this.binHz !== binHz) {
+      this._buildBins(freqData.length, binHz);
+    }
+
+    let flux = 0;
+    for (let i = 0; i < this.bins.length; i += 1) {
+      const magnitude = Math.pow(freqData[this.bins[i]] / 255, CONFIG.fluxExponent);
+      const diff = magnitude - this.prevMagnitudes[i];
+      if (diff > 0 && this.primed) {
+        flux += diff;
+      }
+      this.prevMagnitudes[i] = magnitude;
+    }
+    flux /= Math.max(this.bins.length, 1);
+    this.primed = true;
+
+    const threshold = this._threshold();
+    this.history.push(flux);
+    if (this.history.length > CONFIG.fluxHistorySize) {
+      this.history.shift();
+    }
+
+    const detected =
+      flux > threshold && flux > this.floor && flux > this.prevFlux && now - this.lastOnset > this.cooldownMs;
+    this.prevFlux = flux;
+    return { detected, flux };
+  }
+
+  record(detected, flux, time) {
+    this.lastFlux = flux;
+    if (detected) {
+      this.lastOnset = time;
+      this.envelope = 1;
+      this.envelopeTime = time;
+    }
+  }
+
+  read(now) {
+    const elapsed = Math.max(0, now - this.envelopeTime);
+    return this.envelope * Math.exp(-elapsed / this.decayMs);
+  }
+
+  _threshold() {
+    const history = this.history;
+    const windowSize = Math.min(history.length, CONFIG.fluxWindow);
+    if (windowSize < CONFIG.fluxMinWindow) {
+      return Infinity;
+    }
+    let sum = 0;
+    for (let i = history.length - windowSize; i < history.length; i += 1) {
+      sum += history[i];
+    }
+    const mean = sum / windowSize;
+    let deviation = 0;
+    for (let i = history.length - windowSize; i < history.length; i += 1) {
+      deviation += Math.abs(history[i] - mean);
+    }
+    return mean + (deviation / windowSize) * this.sensitivity;
+  }
+
+  _buildBins(binCount, binHz) {
+    const bins = [];
+    this.ranges.forEach(([minHz, maxHz]) => {
+      const start = clamp(Math.floor(minHz / binHz), 1, binCount - 1);
+      const end = clamp(Math.ceil(maxHz / binHz), start, binCount - 1);
+      for (let i = start; i <= end; i += 1) {
+        bins.push(i);
+      }
+    });
+    this.bins = Uint16Array.from(bins);
+    this.binHz = binHz;
+    this.prevMagnitudes = new Float32Array(this.bins.length);
+    this.primed = false;
+  }
+}
+
+class OneEuroFilter {
+  constructor({ minCutoff, beta, derivativeCutoff }) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.derivativeCutoff = derivativeCutoff;
+    this.value = null;
+    this.derivative = 0;
+  }
+
+  reset() {
+    this.value = null;
+    this.derivative = 0;
+  }
+
+  filter(value, seconds) {
+    if (this.value === null || seconds <= 0) {
+      this.value = value;
+      return value;
+    }
+    const rawDerivative = (value - this.value) / seconds;
+    this.derivative = lerp(this.derivative, rawDerivative, this._alpha(this.derivativeCutoff, seconds));
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+    this.value = lerp(this.value, value, this._alpha(cutoff, seconds));
+    return this.value;
+  }
+
+  _alpha(cutoff, seconds) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / seconds);
+  }
+}
+
+class LandmarkSmoother {
+  constructor(options) {
+    this.options = options;
+    this.filters = [];
+    this.lastTime = 0;
+  }
+
+  filter(landmarks, timestamp) {
+    if (!CONFIG.landmarkFilterEnabled) {
+      return landmarks;
+    }
+    const gap = this.lastTime ? timestamp - this.lastTime : 0;
+    if (gap > CONFIG.landmarkFilterResetMs || this.filters.length !== landmarks.length) {
+      this.filters = landmarks.map(() => ({
+        x: new OneEuroFilter(this.options),
+        y: new OneEuroFilter(this.options),
+        z: new OneEuroFilter(this.options),
+      }));
+    }
+    this.lastTime = timestamp;
+    const seconds = gap / 1000;
+    return landmarks.map((lm, index) => {
+      const filters = this.filters[index];
+      return {
+        ...lm,
+        x: filters.x.filter(lm.x, seconds),
+        y: filters.y.filter(lm.y, seconds),
+        z: filters.z.filter(lm.z ?? 0, seconds),
+      };
+    });
+  }
+}
+
+class PoseTracker {
+  constructor() {
+    this.previousEnergy = 0;
+    this.limbEnergy = { arms: 0, legs: 0, torso: 0 };
+    this.prevPoints = null;
+    this.prevTime = 0;
+    this.gestures = new PoseGestureDetector();
+  }
+
+  update(result, timestamp = performance.now()) {
+    if (!result || !result.landmarks || result.landmarks.length === 0) {
+      this.previousEnergy = lerp(this.previousEnergy, 0, CONFIG.motionSmoothing);
+      Object.keys(this.limbEnergy).forEach((limb) => {
+        this.limbEnergy[limb] = lerp(this.limbEnergy[limb], 0, CONFIG.motionSmoothing);
+      });
+      this.prevPoints = null;
+      this.gestures.reset();
+      return {
+        motionEnergy: this.previousEnergy,
+        limbEnergy: { ...this.limbEnergy },
+        centroid: null,
+        events: [],
+      };
+    }
+
+    const landmarks = result.landmarks[0];
+    let centroidX = 0;
+    let centroidY = 0;
+
+    landmarks.forEach((lm) => {
+      centroidX += lm.x;
+      centroidY += lm.y;
+    });
+
+    const count = landmarks.length || 1;
+    centroidX /= count;
+    centroidY /= count;
+
+    const bodySize = this._bodySize(landmarks);
+    const dt = this.prevTime ? timestamp - this.prevTime : 0;
+    const canMeasure = this.prevPoints && dt > 0 && dt <= CONFIG.poseMaxFrameGapMs;
+    const blend = canMeasure ? 1 - Math.exp(-dt / CONFIG.poseEnergySmoothingMs) : 0;
+
+    if (canMeasure) {
+      let total = 0;
+      let limbs = 0;
+      Object.entries(POSE_LIMBS).forEach(([limb, indices]) => {
+        const energy = this._limbEnergy(landmarks, indices, bodySize, dt / 1000);
+        if (energy === null) return;
+        this.limbEnergy[limb] = lerp(this.limbEnergy[limb], energy, blend);
+        total += energy;
+        limbs += 1;
+      });
+      const overall = limbs > 0 ? total / limbs : 0;
+      this.previousEnergy = lerp(this.previousEnergy, overall, blend);
+    }
+
+    this.prevPoints = landmarks.map((lm) => ({ x: lm.x, y: lm.y, visibility: lm.visibility ?? 1 }));
+    this.prevTime = timestamp;
+    const events = this.gestures.update(landmarks, bodySize, timestamp);
+
+    return {
+      motionEnergy: this.previousEnergy,
+      limbEnergy: { ...this.limbEnergy },
+      centroid: { x: centroidX, y: centroidY },
+      bodySize,
+      events,
+      landmarks,
+    };
+  }
+
+  _bodySize(landmarks) {
+    const shoulders = midpoint(landmarks[11], landmarks[12]);
+    const hips = midpoint(landmarks[23], landmarks[24]);
+    const torso = distance2D(shoulders, hips);
+    const shoulderWidth = distance2D(landmarks[11], landmarks[12]);
+    return Math.max(torso, shoulderWidth, 0.05);
+  }
+
+  _limbEnergy(landmarks, indices, bodySize, seconds) {
+    let sum = 0;
+    let samples = 0;
+    indices.forEach((idx) => {
+      const current = landmarks[idx];
+      const previous = this.prevPoints[idx];
+      if (!current || !previous) return;
+      const visible = Math.min(current.visibility ?? 1, previous.visibility);
+      if (visible < CONFIG.poseVisibilityFloor) return;
+      const speed = distance2D(current, previous) / bodySize / seconds;
+      sum += 0.5 * speed * speed;
+      samples += 1;
+    });
+    if (samples === 0) return null;
+    return 1 - Math.exp(-(sum / samples) / CONFIG.poseEnergyScale);
+  }
+}
+
+class PoseGestureDetector {
+  constructor() {
+    this.lastFired = new Map();
+    this.reset();
+  }
+
+  reset() {
+    this.holds = new Map();
+    this.hipBaseline = null;
+    this.ankleBaseline = null;
+    this.prevHipY = null;
+    this.prevTime = 0;
+    this.lastHandsApartAt = 0;
+    this.jumpArmed = true;
+  }
+
+  update(landmarks, bodySize, now) {
+    const events = [];
+    const visible = (idx) => (landmarks[idx]?.visibility ?? 1) >= CONFIG.poseVisibilityFloor;
+    const nose = landmarks[0];
+    const leftWrist = landmarks[15];
+    const rightWrist = landmarks[16];
+    const shoulders = midpoint(landmarks[11], landmarks[12]);
+    const hips = midpoint(landmarks[23], landmarks[24]);
+    const torso = Math.max(distance2D(shoulders, hips), 0.05);
+    const dt = this.prevTime ? (now - this.prevTime) / 1000 : 0;
+    this.prevTime = now;
+
+    if (visible(15) && visible(16)) {
+      const topY = Math.min(nose.y, shoulders.y);
+      const lift = Math.min(topY - leftWrist.y, topY - rightWrist.y) / bodySize;
+      this._hold(events, "armsUp", lift > CONFIG.poseArmsUpMargin, clamp(lift / (CONFIG.poseArmsUpMargin * 2), 0, 1), now);
+
+      const handGap = distance2D(leftWrist, rightWrist) / bodySize;
+      if (handGap > CONFIG.poseClapOpenDistance) {
+        this.lastHandsApartAt = now;
+      }
+      if (handGap < CONFIG.poseClapDistance && now - this.lastHandsApartAt < CONFIG.poseClapWindowMs) {
+        const speed = clamp(1 - (now - this.lastHandsApartAt) / CONFIG.poseClapWindowMs, 0, 1);
+        if (this._fire(events, "clap", 0.5 + speed * 0.5, now)) {
+          this.lastHandsApartAt = 0;
+        }
+      }
+    }
+
+    if (visible(11) && visible(12) && visible(23) && visible(24)) {
+      const tilt = Math.atan2(shoulders.x - hips.x, hips.y - shoulders.y);
+      const leanConfidence = clamp(Math.abs(tilt) / (CONFIG.poseLeanAngle * 2), 0, 1);
+      this._hold(events, "leanLeft", tilt < -CONFIG.poseLeanAngle, leanConfidence, now);
+      this._hold(events, "leanRight", tilt > CONFIG.poseLeanAngle, leanConfidence, now);
+
+      const feetVisible = visible(27) && visible(28);
+      const ankles = feetVisible ? midpoint(landmarks[27], landmarks[28]) : null;
+      if (this.hipBaseline === null) {
+        this.hipBaseline = hips.y;
+      }
+      if (ankles && this.ankleBaseline === null) {
+        this.ankleBaseline = ankles.y;
+      }
+      const rise = (this.hipBaseline - hips.y) / torso;
+      const feetRise = ankles ? (this.ankleBaseline - ankles.y) / torso : rise;
+      const velocity = this.prevHipY !== null && dt > 0 ? (this.prevHipY - hips.y) / torso / dt : 0;
+      this.prevHipY = hips.y;
+      const airborne = rise > CONFIG.poseJumpRise && feetRise > CONFIG.poseJumpRise * 0.5;
+      if (this.jumpArmed && airborne && velocity > CONFIG.poseJumpVelocity) {
+        if (this._fire(events, "jump", clamp(rise / (CONFIG.poseJumpRise * 2), 0.5, 1), now)) {
+          this.jumpArmed = false;
+        }
+      }
+      if (rise < CONFIG.poseJumpRise * 0.5) {
+        this.jumpArmed = true;
+        this.hipBaseline = lerp(this.hipBaseline, hips.y, 0.05);
+        if (ankles) {
+          this.ankleBaseline = lerp(this.ankleBaseline, ankles.y, 0.05);
+        }
+      }
+
+      if (ankles) {
+        const legRatio = (ankles.y - hips.y) / torso;
+        const crouchConfidence = clamp((CONFIG.poseCrouchLegRatio - legRatio) / CONFIG.poseCrouchLegRatio + 0.5, 0, 1);
+        this._hold(events, "crouch", legRatio < CONFIG.poseCrouchLegRatio, crouchConfidence, now);
+      }
+    }
+
+    return events;
+  }
+
+  _hold(events, type, active, confidence, now) {
+    if (!active) {
+      this.holds.delete(type);
+      return;
+    }
+    const hold = this.holds.get(type);
+    if (!hold) {
+      this.holds.set(type, { since: now, fired: false });
+      return;
+    }
+    if (!hold.fired && now - hold.since >= CONFIG.poseHoldMs) {
+      hold.fired = this._fire(events, type, confidence, now);
+    }
+  }
+
+  _fire(events, type, confidence, now) {
+    const last = this.lastFired.get(type) ?? -Infinity;
+    if (now - last < CONFIG.poseGestureCooldownMs) {
+      return false;
+    }
+    this.lastFired.set(type, now);
+    events.push({ type, confidence, time: now });
+    return true;
+  }
+}
+
+class HandGestureTracker {
+  constructor() {
+    this.previousHands = new Map();
+    this.paths = {};
+    this.nextId = 1;
+    this.lastUpdate = 0;
+  }
+
+  update(result, timestamp = performance.now()) {
+    const hands = [];
+    const events = [];
+    const frameDt = this.lastUpdate ? timestamp - this.lastUpdate : 0;
+    this.lastUpdate = timestamp;
+    const detections = (result?.landmarks ?? []).map((landmarks, index) => {
+      const category = (result.handedness ?? result.handednesses)?.[index];
+      return {
+        landmarks,
+        handedness: (Array.isArray(category) ? category[0] : category)?.categoryName || "Unknown",
+        wrist: landmarks[0],
+      };
+    });
+
+    const tracks = Array.from(this.previousHands.values());
+    const matches = greedyMatch(
+      tracks,
+      detections,
+      (track, detection) =>
+        distance2D(track.wrist, detection.wrist) + (track.hand.handedness === detection.handedness ? 0 : CONFIG.handMatchDistance * 0.5),
+      CONFIG.handMatchDistance,
+    );
+
+    detections.forEach((detection, index) => {
+      const track = matches.get(index);
+      const id = track?.id ?? `hand-${this.nextId++}`;
+      const smoother = track?.smoother ?? new LandmarkSmoother(CONFIG.landmarkFilters.hand);
+      const landmarks = smoother.filter(detection.landmarks, timestamp);
+      const dt = track ? (timestamp - track.lastSeen) / 1000 : 0;
+      const prev = track && dt > 0 && dt * 1000 <= CONFIG.handMaxFrameGapMs ? track.hand : null;
+      const normalized = { id, ...this._computeMetrics(landmarks, detection.handedness, prev, dt) };
+      hands.push(normalized);
+      const detector = track?.detector ?? new HandGestureDetector();
+      detector.update(normalized, timestamp).forEach((event) => events.push(event));
+      this.previousHands.set(id, { id, hand: normalized, wrist: detection.wrist, lastSeen: timestamp, detector, smoother });
+      this._pushTrail(id, normalized.indexTip, normalized.speed);
+    });
+
+    this.previousHands.forEach((track, id) => {
+      if (timestamp - track.lastSeen > CONFIG.handTimeoutMs) {
+        this.previousHands.delete(id);
+      }
+    });
+
+    this._fadeTrails(frameDt);
+    return { hands, paths: this.paths, summary: this.summarize(hands), events };
+  }
+
+  emptyState() {
+    return { hands: [], paths: this.paths, summary: this.summarize([]), events: [] };
+  }
+
+  _computeMetrics(landmarks, handedness, prev, seconds) {
+    const thumbTip = landmarks[4];
+    const indexTip = landmarks[8];
+    const pinkyTip = landmarks[20];
+    const wrist = landmarks[0];
+
+    const pinchDistance = distance2D(thumbTip, indexTip);
+    const pinch = clamp(1 - pinchDistance * 4, 0, 1);
+
+    const extensionPairs = [
+      [8, 6],
+      [12, 10],
+      [16, 14],
+      [20, 18],
+    ];
+    let extensionSum = 0;
+    extensionPairs.forEach(([tipIdx, pipIdx]) => {
+      extensionSum += distance2D(landmarks[tipIdx], landmarks[pipIdx]);
+    });
+    const extension = clamp((extensionSum / extensionPairs.length) * 8, 0, 1);
+
+    const direction = {
+      x: indexTip.x - wrist.x,
+      y: indexTip.y - wrist.y,
+    };
+
+    const velocity = prev
+      ? {
+          x: (indexTip.x - prev.indexTip.x) / seconds,
+          y: (indexTip.y - prev.indexTip.y) / seconds,
+        }
+      : { x: 0, y: 0 };
+    const speed = Math.hypot(velocity.x, velocity.y);
+
+    const spread = clamp(distance2D(indexTip, pinkyTip) * 3, 0, 1);
+    const gesture = spread > 0.45 && extension > 0.45 && pinch < 0.65 ? 'open' : 'closed';
+
+    const handSize = Math.max(distance2D(wrist, landmarks[9]), 1e-3);
+    const fingers = {};
+    Object.entries(HAND_FINGERS).forEach(([finger, [tipIdx, jointIdx]]) => {
+      const anchor = finger === "thumb" ? landmarks[17] : wrist;
+      fingers[finger] = distance2D(landmarks[tipIdx], anchor) > distance2D(landmarks[jointIdx], anchor) * CONFIG.handFingerExtendRatio;
+    });
+    const extendedCount = Object.values(fingers).filter(Boolean).length;
+    const shapeContext = {
+      okClosed: pinchDistance / handSize < CONFIG.handOkDistance,
+      thumbUp: wrist.y - thumbTip.y > handSize * 0.8,
+    };
+    const shape = HAND_SHAPES.find(({ test }) => test(fingers, shapeContext))?.name ?? "none";
+
+    return {
+      handedness,
+      pinch,
+      spread,
+      extension,
+      gesture,
+      fingers,
+      extendedCount,
+      shape,
+      handSize,
+      indexTip: { x: indexTip.x, y: indexTip.y },
+      thumbTip: { x: thumbTip.x, y: thumbTip.y },
+      palmCenter: midpoint(wrist, indexTip),
+      direction,
+      velocity,
+      speed,
+      rawLandmarks: landmarks,
+    };
+  }
+
+  _pushTrail(id, point, speed) {
+    if (!point) return;
+    const list = this.paths[id] || (this.paths[id] = []);
+    list.push({ x: point.x, y: point.y, life: 1, speed });
+    if (list.length > CONFIG.fingerTrailLength) {
+      list.shift();
+    }
+  }
+
+  _fadeTrails(elapsedMs) {
+    const fade = elapsedMs / CONFIG.fingerTrailLifeMs;
+    Object.entries(this.paths).forEach(([id, trail]) => {
+      for (let i = trail.length - 1; i >= 0; i -= 1) {
+        trail[i].life -= fade;
+        if (trail[i].life <= 0) {
+          trail.splice(i, 1);
+        }
+      }
+      if (trail.length === 0 && !this.previousHands.has(id)) {
+        delete this.paths[id];
+      }
+    });
+  }
+
+  summarize(hands) {
+    const left = hands.find((hand) => hand.handedness === "Left");
+    const right = hands.find((hand) => hand.handedness === "Right");
+    let distance = 0;
+    let angle = 0;
+    if (left && right) {
+      distance = distance2D(left.palmCenter, right.palmCenter);
+      angle = Math.atan2(right.palmCenter.y - left.palmCenter.y, right.palmCenter.x - left.palmCenter.x);
+    }
+
+    return {
+      handCount: hands.length,
+      left,
+      right,
+      distance,
+      angle,
+    };
+  }
+}
+
+class HandGestureDetector {
+  constructor() {
+    this.history = [];
+    this.lastFired = new Map();
+    this.shape = { name: "none", since: 0, emitted: true };
+  }
+
+  update(hand, now) {
+    const events = [];
+    const emit = (type, extra = {}) => {
+      const last = this.lastFired.get(type) ?? -Infinity;
+      if (now - last < CONFIG.handGestureCooldownMs) return false;
+      this.lastFired.set(type, now);
+      events.push({ type, handId: hand.id, handedness: hand.handedness, time: now, ...extra });
+      return true;
+    };
+
+    if (hand.shape !== this.shape.name) {
+      this.shape = { name: hand.shape, since: now, emitted: hand.shape === "none" };
+    } else if (!this.shape.emitted && now - this.shape.since >= CONFIG.handShapeHoldMs) {
+      this.shape.emitted = emit(hand.shape, { fingers: hand.extendedCount });
+    }
+
+    this.history.push({ x: hand.palmCenter.x, y: hand.palmCenter.y, size: hand.handSize, time: now });
+    while (this.history.length > 0 && now - this.history[0].time > CONFIG.handHistoryMs) {
+      this.history.shift();
+    }
+
+    const swipe = this._swipe(now);
+    if (swipe && emit(swipe.type, { distance: swipe.distance })) {
+      this.history = this.history.slice(-1);
+      return events;
+    }
+    const circle = this._circle(now);
+    if (circle && emit("circle", { direction: circle.direction })) {
+      this.history = this.history.slice(-1);
+      return events;
+    }
+    if (this._push(now) && emit("push")) {
+      this.history = this.history.slice(-1);
+    }
+    return events;
+  }
+
+  _since(windowMs, now) {
+    return this.history.filter((sample) => now - sample.time <= windowMs);
+  }
+
+  _swipe(now) {
+    const samples = this._since(CONFIG.handSwipeWindowMs, now);
+    if (samples.length < 3) return null;
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const dx = last.x - first.x;
+    const dy = last.y - first.y;
+    const ax = Math.abs(dx);
+    const ay = Math.abs(dy);
+    if (ax > CONFIG.handSwipeDistance && ax > ay * CONFIG.handSwipeAxisRatio) {
+      return { type: dx < 0 ? "swipeLeft" : "swipeRight", distance: ax };
+    }
+    if (ay > CONFIG.handSwipeDistance && ay > ax * CONFIG.handSwipeAxisRatio) {
+      return { type: dy < 0 ? "swipeUp" : "swipeDown", distance: ay };
+    }
+    return null;
+  }
+
+  _circle(now) {
+    const samples = this._since(CONFIG.handCircleWindowMs, now);
+    if (samples.length < 8) return null;
+    const cx = samples.reduce((sum, sample) => sum + sample.x, 0) / samples.length;
+    const cy = samples.reduce((sum, sample) => sum + sample.y, 0) / samples.length;
+    const radii = samples.map((sample) => Math.hypot(sample.x - cx, sample.y - cy));
+    const radius = radii.reduce((sum, r) => sum + r, 0) / radii.length;
+    if (radius < CONFIG.handCircleMinRadius || Math.min(...radii) < radius * 0.4) return null;
+
+    let turned = 0;
+    for (let i = 1; i < samples.length; i += 1) {
+      const a = Math.atan2(samples[i - 1].y - cy, samples[i - 1].x - cx);
+      const b = Math.atan2(samples[i].y - cy, samples[i].x - cx);
+      let delta = b - a;
+      if (delta > Math.PI) delta -= Math.PI * 2;
+      if (delta < -Math.PI) delta += Math.PI * 2;
+      turned += delta;
+    }
+    if (Math.abs(turned) < Math.PI * 2 * CONFIG.handCircleTurns) return null;
+    return { direction: turned > 0 ? "clockwise" : "counterclockwise" };
+  }
+
+  _push(now) {
+    const samples = this._since(CONFIG.handPushWindowMs, now);
+    if (samples.length < 3) return false;
+    const smallest = Math.min(...samples.slice(0, -1).map((sample) => sample.size));
+    const growth = samples[samples.length - 1].size / smallest - 1;
+    const drift = distance2D(samples[0], samples[samples.length - 1]);
+    return growth > CONFIG.handPushGrowth && drift < CONFIG.handSwipeDistance;
+  }
+}
+
+class FaceExpressionTracker {
+  constructor() {
+    this.eyes = new EyeStateTracker();
+    this.blinkCount = 0;
+  }
+
+  update(result, timestamp = performance.now()) {
+    if (!result || !result.faceLandmarks || result.faceLandmarks.length === 0) {
+      this.eyes.release();
+      return this._empty();
+    }
+
+    const landmarks = result.faceLandmarks[0];
+    const blendshapes = {};
+    (result.faceBlendshapes?.[0]?.categories ?? []).forEach(({ categoryName, score }) => {
+      blendshapes[categoryName] = score;
+    });
+    const { eyeLevels, ...metrics } = this._computeMetrics(landmarks, blendshapes, result.facialTransformationMatrixes?.[0]);
+    const eyes = this.eyes.update(eyeLevels, timestamp);
+    const blinkTriggered = eyes.events.some((event) => event.type === "blink");
+    if (blinkTriggered) {
+      this.blinkCount += 1;
+    }
+    return {
+      ...metrics,
+      landmarks,
+      eyes: { left: eyes.left, right: eyes.right, calibrated: eyes.calibrated },
+      events: eyes.events,
+      blinkCount: this.blinkCount,
+      blinkTriggered,
+    };
+  }
+
+  _computeMetrics(landmarks, blendshapes, matrix) {
+    const faceHeight = distance2D(landmarks[10], landmarks[152]) || 1;
+    const hasBlendshapes = Object.keys(blendshapes).length > 0;
+    const mean = (a, b) => ((blendshapes[a] ?? 0) + (blendshapes[b] ?? 0)) * 0.5;
+
+    const rightEyeOpen = this._eyeOpenness(landmarks, 159, 145, 33, 133);
+    const leftEyeOpen = this._eyeOpenness(landmarks, 386, 374, 362, 263);
+    const eyeOpenness = clamp((leftEyeOpen + rightEyeOpen) * 0.5, 0, 1);
+    const eyeLevels = hasBlendshapes
+      ? { left: 1 - (blendshapes.eyeBlinkLeft ?? 0), right: 1 - (blendshapes.eyeBlinkRight ?? 0) }
+      : { left: leftEyeOpen, right: rightEyeOpen };
+
+    const leftBrow = distance2D(landmarks[65], landmarks[159]) / faceHeight;
+    const rightBrow = distance2D(landmarks[295], landmarks[386]) / faceHeight;
+    const browRaise = hasBlendshapes
+      ? Math.max(blendshapes.browInnerUp ?? 0, mean("browOuterUpLeft", "browOuterUpRight"))
+      : clamp((leftBrow + rightBrow) * 2.8, 0, 1);
+
+    const mouthWidth = distance2D(landmarks[61], landmarks[291]) / faceHeight;
+    const mouthHeight = distance2D(landmarks[13], landmarks[14]) / faceHeight;
+    const smile = hasBlendshapes ? mean("mouthSmileLeft", "mouthSmileRight") : clamp((mouthWidth - 0.25) * 3, 0, 1);
+    const mouthOpen = hasBlendshapes ? blendshapes.jawOpen ?? 0 : clamp((mouthHeight - 0.02) * 12, 0, 1);
+
+    const [leftCheek, rightCheek] = [landmarks[234], landmarks[454]].sort((a, b) => a.x - b.x);
+    const roll = Math.atan2(rightCheek.y - leftCheek.y, rightCheek.x - leftCheek.x);
+
+    return {
+      eyeOpenness,
+      browRaise,
+      smile,
+      mouthOpen,
+      blendshapes,
+      eyeLevels,
+      headTilt: { roll, ...this._headAngles(landmarks, matrix) },
+    };
+  }
+
+  _headAngles(landmarks, matrix) {
+    const m = matrix?.data;
+    if (m && m.length >= 16) {
+      return {
+        yaw: Math.atan2(m[8], m[10]),
+        pitch: Math.asin(clamp(-m[9], -1, 1)),
+      };
+    }
+    const leftCheek = landmarks[234];
+    const rightCheek = landmarks[454];
+    const nose = landmarks[1];
+    const faceWidth = distance2D(leftCheek, rightCheek) || 1;
+    const faceHeight = distance2D(landmarks[10], landmarks[152]) || 1;
+    const center = midpoint(leftCheek, rightCheek);
+    const eyes = midpoint(landmarks[33], landmarks[263]);
+    return {
+      yaw: Math.asin(clamp(((nose.x - center.x) / faceWidth) * 2, -1, 1)),
+      pitch: Math.asin(clamp(((nose.y - eyes.y) / faceHeight - 0.3) * 3, -1, 1)),
+    };
+  }
+
+  _eyeOpenness(landmarks, upperIdx, lowerIdx, leftIdx, rightIdx) {
+    const vertical = distance2D(landmarks[upperIdx], landmarks[lowerIdx]);
+    const horizontal = distance2D(landmarks[leftIdx], landmarks[rightIdx]) + 1e-6;
+    return clamp((vertical / horizontal) * 3, 0, 1);
+  }
+
+  _empty() {
+    return FaceExpressionTracker.emptyState(this.blinkCount);
+  }
+
+  static emptyState(blinkCount = 0) {
+    return {
+      eyeOpenness: 0,
+      browRaise: 0,
+      smile: 0,
+      mouthOpen: 0,
+      blendshapes: {},
+      headTilt: { roll: 0, yaw: 0, pitch: 0 },
+      eyes: { left: { openness: 0, closed: false }, right: { openness: 0, closed: false }, calibrated: false },
+      events: [],
+      blinkCount,
+      blinkTriggered: false,
+    };
+  }
+}
+
+class EyeStateTracker {
+  constructor() {
+    this.left = this._eye();
+    this.right = this._eye();
+    this.startedAt = 0;
+    this.episode = null;
+    this.lastFired = new Map();
+  }
+
+  release() {
+    this.episode = null;
+    this.left.closed = false;
+    this.right.closed = false;
+  }
+
+  update(levels, now) {
+    if (!this.startedAt) {
+      this.startedAt = now;
+    }
+    this._classify(this.left, levels.left);
+    this._classify(this.right, levels.right);
+    const calibrated = now - this.startedAt >= CONFIG.eyeCalibrationMs;
+    const events = calibrated ? this._track(now) : [];
+    const state = (eye) => ({ openness: eye.openness, closed: eye.closed });
+    return { left: state(this.left), right: state(this.right), calibrated, events };
+  }
+
+  _eye() {
+    return { openLevel: null, closedLevel: null, openness: 1, closed: false };
+  }
+
+  _classify(eye, value) {
+    if (eye.openLevel === null) {
+      eye.openLevel = value;
+      eye.closedLevel = value * CONFIG.eyeClosedGuess;
+    }
+    const range = Math.max(eye.openLevel - eye.closedLevel, 0.05);
+    eye.openness = clamp((value - eye.closedLevel) / range, 0, 1);
+    eye.closed = eye.openness < (eye.closed ? CONFIG.eyeOpenRatio : CONFIG.eyeCloseRatio);
+    if (eye.closed) {
+      eye.closedLevel = Math.min(lerp(eye.closedLevel, value, 0.1), eye.openLevel * 0.8);
+    } else {
+      eye.openLevel = lerp(eye.openLevel, value, value > eye.openLevel ? 0.05 : 0.01);
+    }
+  }
+
+  _track(now) {
+    const events = [];
+    const emit = (type, duration) => {
+      const last = this.lastFired.get(type) ?? -Infinity;
+      if (now - last < CONFIG.blinkCooldownMs) return;
+      this.lastFired.set(type, now);
+      events.push({ type, time: now, duration });
+    };
+    const { left, right } = this;
+
+    if (!this.episode) {
+      if (left.closed || right.closed) {
+        this.episode = { start: now, left: left.closed, right: right.closed, bothSince: left.closed && right.closed ? now : 0, held: false };
+      }
+      return events;
+    }
+
+    const episode = this.episode;
+    episode.left = episode.left || left.closed;
+    episode.right = episode.right || right.closed;
+    if (left.closed && right.closed) {
+      episode.bothSince = episode.bothSince || now;
+      if (!episode.held && now - episode.bothSince >= CONFIG.eyesClosedMs) {
+        episode.held = true;
+        emit("eyesClosed", now - episode.start);
+      }
+    } else {
+      episode.bothSince = 0;
+    }
+
+    if (left.closed || right.closed) {
+      return events;
+    }
+
+    const duration = now - episode.start;
+    this.episode = null;
+    if (episode.held) {
+      return events;
+    }
+    if (episode.left && episode.right) {
+      if (duration >= CONFIG.blinkMinMs && duration <= CONFIG.blinkMaxMs) {
+        emit("blink", duration);
+      }
+    } else if (duration >= CONFIG.winkMinMs && duration <= CONFIG.winkMaxMs) {
+      emit(episode.left ? "winkLeft" : "winkRight", duration);
+    }
+    return events;
+  }
+}
+
+class PerformerTracker {
+  constructor() {
+    this.performers = new Map();
+    this.nextId = 1;
+  }
+
+  update({ poseResult, faceResult, hands = [] }, timestamp = performance.now()) {
+    const detections = (poseResult?.landmarks ?? []).map((landmarks) => ({
+      center: this._poseCenter(landmarks),
+      head: landmarks[0],
+      wrists: [landmarks[15], landmarks[16]],
+      pose: { landmarks: [landmarks] },
+      face: null,
+    }));
+
+    (faceResult?.faceLandmarks ?? []).forEach((landmarks, index) => {
+      const face = sliceFaceResult(faceResult, index);
+      const nose = landmarks[1];
+      let owner = null;
+      let best = CONFIG.performerFaceMatchDistance;
+      detections.forEach((detection) => {
+        if (detection.face || !detection.head) return;
+        const d = distance2D(detection.head, nose);
+        if (d < best) {
+          best = d;
+          owner = detection;
+        }
+      });
+      if (owner) {
+        owner.face = face;
+      } else {
+        detections.push({ center: { x: nose.x, y: nose.y }, head: nose, wrists: [], pose: null, face });
+      }
+    });
+
+    const matches = greedyMatch(
+      Array.from(this.performers.values()),
+      detections,
+      (performer, detection) =>
+        performer.head && detection.head
+          ? Math.min(distance2D(performer.center, detection.center), distance2D(performer.head, detection.head))
+          : distance2D(performer.center, detection.center),
+      CONFIG.performerMatchDistance,
+    );
+
+    const seen = new Set();
+    const matched = new Set(matches.values());
+    detections.forEach((detection, index) => {
+      let performer = matches.get(index);
+      if (!performer) {
+        if (this.performers.size >= CONFIG.maxPerformers && !this._evictStalest(matched, seen)) return;
+        performer = {
+          id: this.nextId++,
+          poseTracker: new PoseTracker(),
+          faceTracker: new FaceExpressionTracker(),
+          poseSmoother: new LandmarkSmoother(CONFIG.landmarkFilters.pose),
+          faceSmoother: new LandmarkSmoother(CONFIG.landmarkFilters.face),
+        };
+        this.performers.set(performer.id, performer);
+      }
+      performer.center = detection.center;
+      performer.head = detection.head;
+      performer.wrists = detection.wrists;
+      performer.lastSeen = timestamp;
+      const pose = detection.pose && { landmarks: [performer.poseSmoother.filter(detection.pose.landmarks[0], timestamp)] };
+      const face = detection.face && {
+        ...detection.face,
+        faceLandmarks: [performer.faceSmoother.filter(detection.face.faceLandmarks[0], timestamp)],
+      };
+      performer.pose = performer.poseTracker.update(pose, timestamp);
+      performer.face = performer.faceTracker.update(face, timestamp);
+      seen.add(performer.id);
+    });
+
+    this.performers.forEach((performer, id) => {
+      if (seen.has(id)) return;
+      if (timestamp - performer.lastSeen > CONFIG.performerTimeoutMs) {
+        this.performers.delete(id);
+        return;
+      }
+      performer.pose = performer.poseTracker.update(null, timestamp);
+      performer.face = performer.faceTracker.update(null, timestamp);
+      performer.wrists = [];
+    });
+
+    const grouped = new Map();
+    hands.forEach((hand) => {
+      const owner = this._handOwner(hand, seen);
+      hand.performerId = owner?.id ?? null;
+      if (owner) {
+        const list = grouped.get(owner.id) ?? [];
+        list.push(hand);
+        grouped.set(owner.id, list);
+      }
+    });
+
+    const performers = Array.from(this.performers.values())
+      .sort((a, b) => a.id - b.id)
+      .map((performer) => ({
+        id: performer.id,
+        present: seen.has(performer.id),
+        center: performer.center,
+        pose: performer.pose,
+        face: performer.face,
+        hands: grouped.get(performer.id) ?? [],
+      }));
+
+    const primary = performers.find((performer) => performer.present) ?? performers[0] ?? null;
+    const poseEvents = performers.flatMap((performer) =>
+      (performer.pose?.events ?? []).map((event) => ({ ...event, performerId: performer.id })),
+    );
+    const faceEvents = performers.flatMap((performer) =>
+      (performer.face?.events ?? []).map((event) => ({ ...event, performerId: performer.id })),
+    );
+
+    return { performers, primary, poseEvents, faceEvents };
+  }
+
+  _poseCenter(landmarks) {
+    const torso = POSE_LIMBS.torso
+      .slice(1)
+      .map((idx) => landmarks[idx])
+      .filter((lm) => lm && (lm.visibility ?? 1) >= CONFIG.poseVisibilityFloor);
+    const points = torso.length > 0 ? torso : landmarks;
+    const sum = points.reduce((acc, lm) => ({ x: acc.x + lm.x, y: acc.y + lm.y }), { x: 0, y: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length };
+  }
+
+  _evictStalest(matched, seen) {
+    let stalest = null;
+    this.performers.forEach((performer) => {
+      if (matched.has(performer) || seen.has(performer.id)) return;
+      if (!stalest || performer.lastSeen < stalest.lastSeen) {
+        stalest = performer;
+      }
+    });
+    if (stalest) {
+      this.performers.delete(stalest.id);
+    }
+    return stalest !== null;
+  }
+
+  _handOwner(hand, seen) {
+    const wrist = hand.rawLandmarks[0];
+    let owner = null;
+    let best = CONFIG.performerHandMatchDistance;
+    this.performers.forEach((performer) => {
+      if (!seen.has(performer.id)) return;
+      const anchors = performer.wrists.length > 0 ? performer.wrists : [performer.center];
+      anchors.forEach((anchor) => {
+        if (!anchor) return;
+        const d = distance2D(anchor, wrist) * (performer.wrists.length > 0 ? 1 : 0.5);
+        if (d < best) {
+          best = d;
+          owner = performer;
+        }
+      });
+    });
+    return owner;
+  }
+}
+
+class PaletteController {
+  constructor() {
+    this.index = 0;
+    this.lastSwitch = performance.now();
+    this.beatCount = 0;
+    this.lastBeatAt = 0;
+    this.keyHue = null;
+    this.chordHue = null;
+  }
+
+  update({ audioIntensity, beatPulse, beatDetected, bpm, section, harmony, poseEvents = [] }) {
+    const now = performance.now();
+
+    if (poseEvents.some((event) => event.type === "armsUp")) {
+      this.advance(1);
+    }
+
+    if (beatDetected) {
+      this.lastBeatAt = now;
+      this.beatCount += 1;
+    }
+
+    if (section?.transition?.to === "drop") {
+      this.index = (this.index + 1) % COLOR_THEMES.length;
+      this.lastSwitch = now;
+      this.beatCount = 0;
+      return this._applyHarmony(COLOR_THEMES[this.index], harmony);
+    }
+    const building = section?.name === "buildup";
+
+    const beatDuration = bpm > 0 ? 60000 / bpm : 0;
+    const targetHold = beatDuration > 0 ? beatDuration * CONFIG.paletteBeatsPerCycle : CONFIG.paletteMinHoldMs;
+    const sinceSwitch = now - this.lastSwitch;
+    const holdSatisfied = sinceSwitch >= Math.max(CONFIG.paletteMinHoldMs, targetHold);
+    const strongPulse = beatPulse > CONFIG.paletteBeatPulseGate || beatDetected;
+
+    if (!building && holdSatisfied && strongPulse && this.beatCount >= CONFIG.paletteBeatsPerCycle) {
+      this.index = (this.index + 1) % COLOR_THEMES.length;
+      this.lastSwitch = now;
+      this.beatCount = 0;
+    }
+
+    const timeSinceBeat = now - this.lastBeatAt;
+    const quiet = audioIntensity < CONFIG.paletteQuietIntensity;
+    if (quiet && holdSatisfied && timeSinceBeat > CONFIG.paletteQuietResetMs) {
+      this.index = 0;
+      this.lastSwitch = now;
+      this.beatCount = 0;
+    }
+
+    return this._applyHarmony(COLOR_THEMES[this.index], harmony);
+  }
+
+  advance(step) {
+    this.index = (this.index + step + COLOR_THEMES.length) % COLOR_THEMES.length;
+    this.lastSwitch = performance.now();
+    this.beatCount = 0;
+  }
+
+  _applyHarmony(theme, harmony) {
+    const key = harmony?.key;
+    const chord = harmony?.chord;
+    if (key) {
+      const target = pitchClassHue(key.tonic);
+      this.keyHue = this.keyHue === null ? target : lerpHue(this.keyHue, target, CONFIG.paletteHueSmoothing);
+    }
+    if (chord) {
+      const target = pitchClassHue(chord.root);
+      this.chordHue = this.chordHue === null ? target : lerpHue(this.chordHue, target, CONFIG.paletteHueSmoothing * 2);
+    }
+    if (this.keyHue === null && this.chordHue === null) {
+      return theme;
+    }
+
+    const keyMix = this.keyHue === null ? 0 : CONFIG.paletteKeyHueMix * (key?.confidence ?? 0);
+    const chordMix = this.chordHue === null ? 0 : CONFIG.paletteChordHueMix * (chord?.confidence ?? 0);
+    return {
+      ...theme,
+      baseHue: lerpHue(theme.baseHue, this.keyHue ?? theme.baseHue, keyMix),
+      glowHue: lerpHue(theme.glowHue, this.keyHue ?? theme.glowHue, keyMix),
+      accentHue: lerpHue(theme.accentHue, this.chordHue ?? theme.accentHue, chordMix),
+    };
+  }
+}
+
+class CoolMonoScene {
+  constructor() {
+    this.parameters = {
+      grid: { label: "Grid", value: 1, min: 0, max: 2, step: 0.05 },
+      glitch: { label: "Glitch", value: 1, min: 0, max: 2, step: 0.05 },
+    };
+    this.init();
+  }
+
+  init() {
+    this.glitchSeed = 0;
+    this.dropAt = 0;
+    this.clapAt = 0;
+    this.crouchAt = 0;
+    this.lean = { direction: 0, at: 0 };
+    this.rings = [];
+    this.prevGestures = new Map();
+    this.lastEmitTime = new Map();
+  }
+
+  dispose() {
+    this.rings = [];
+    this.prevGestures.clear();
+    this.lastEmitTime.clear();
+  }
+
+  render(ctx, shared) {
+    const { width, height } = ctx.canvas;
+    const { audio, gestures, hands, face, pose, palette, audioIntensity } = shared;
+    const intensity = audioIntensity;
+    const pulse = audio.beatPulse ?? 0;
+    const kick = audio.onsets?.kick?.envelope ?? 0;
+    const snare = audio.onsets?.snare?.envelope ?? 0;
+    const hihat = audio.onsets?.hihat?.envelope ?? 0;
+    const now = performance.now();
+    const time = now * 0.001;
+
+    const section = audio.section;
+    if (section?.transition?.to === "drop") {
+      this.dropAt = now;
+      this._spawnDropBurst(width, height, intensity, palette);
+    }
+    (pose?.events ?? []).forEach((event) => {
+      if (event.type === "clap") {
+        this.clapAt = now;
+      } else if (event.type === "jump") {
+        this.dropAt = now;
+        this._spawnDropBurst(width, height, Math.max(intensity, event.confidence), palette);
+      } else if (event.type === "leanLeft" || event.type === "leanRight") {
+        this.lean = { direction: event.type === "leanLeft" ? -1 : 1, at: now };
+      } else if (event.type === "crouch") {
+        this.crouchAt = now;
+      }
+    });
+    const drop = this.dropAt ? Math.exp(-(now - this.dropAt) / CONFIG.dropBurstDecayMs) : 0;
+    const clap = this.clapAt ? Math.exp(-(now - this.clapAt) / CONFIG.poseFlashDecayMs) : 0;
+    const crouch = this.crouchAt ? Math.exp(-(now - this.crouchAt) / CONFIG.poseCrouchDecayMs) : 0;
+    const lean = this.lean.at ? this.lean.direction * Math.exp(-(now - this.lean.at) / CONFIG.poseLeanDecayMs) : 0;
+    const build = section?.buildProgress ?? 0;
+    const motion = pose?.motionEnergy ?? 0;
+    const restraint = section?.name === "buildup" ? 1 - build * 0.6 : section?.name === "breakdown" ? 0.6 : 1;
+
+    ctx.fillStyle = palette.bgDark;
+    ctx.fillRect(0, 0, width, height);
+
+    const gradient = ctx.createLinearGradient(0, 0, width, height);
+    gradient.addColorStop(0, `hsla(${palette.baseHue + intensity * 35}, 70%, ${18 + intensity * 32}%, ${0.45 + intensity * 0.3})`);
+    gradient.addColorStop(1, `hsla(${palette.accentHue + audio.bandEnergy.mid * 60}, 70%, ${24 + intensity * 36}%, ${0.38 + audio.bandEnergy.high * 0.35})`);
+    ctx.globalCompositeOperation = 'screen';
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    const cheekPuff = face?.blendshapes?.cheekPuff ?? 0;
+    const jaw = face?.mouthOpen ?? 0;
+    const headPan = gestures.headPan ?? { x: 0, y: 0 };
+    const ringRadius = 140 + intensity * 220 + pulse * 260 + motion * 180 + cheekPuff * 200;
+    const ringGradient = ctx.createRadialGradient(width / 2, height / 2, 40, width / 2, height / 2, ringRadius);
+    ringGradient.addColorStop(0, `hsla(${palette.glowHue + pulse * 40}, 95%, ${55 + intensity * 25}%, ${0.25 + pulse * 0.4})`);
+    ringGradient.addColorStop(1, 'rgba(0,0,0,0)');
+    ctx.fillStyle = ringGradient;
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.save();
+    ctx.translate(width / 2 + headPan.x * width * 0.15, height / 2 + headPan.y * height * 0.15);
+    const scale =
+      1 +
+      intensity * 0.35 +
+      audio.bandEnergy.low * 0.2 +
+      kick * 0.14 +
+      drop * 0.3 +
+      (pose?.limbEnergy?.legs ?? 0) * 0.1 -
+      build * 0.12 -
+      crouch * 0.2 +
+      (face?.browRaise ?? 0) * 0.15;
+    ctx.scale(scale, scale);
+    ctx.rotate(
+      ((face?.headTilt?.roll) ?? 0) * 0.6 +
+        intensity * 0.08 +
+        Math.sin(time * 0.7) * (pose?.limbEnergy?.arms ?? 0) * 0.12 +
+        lean * 0.25,
+    );
+
+    const gridDensity = clamp(intensity * 0.55 + audio.bandEnergy.low * 0.45 + build * 0.5, 0, 1);
+    const gridSize = Math.max(72, 190 - gridDensity * 120);
+    ctx.strokeStyle = `hsla(${palette.baseHue}, 18%, 78%, ${(0.04 + intensity * 0.22 + audio.bandEnergy.mid * 0.18) * this.parameters.grid.value})`;
+    const xLimit = width * 1.2;
+    const yLimit = height * 1.2;
+    for (let x = -xLimit; x <= xLimit; x += gridSize) {
+      ctx.beginPath();
+      ctx.moveTo(x, -yLimit);
+      ctx.lineTo(x + gestures.panX * 90, yLimit);
+      ctx.stroke();
+    }
+    for (let y = -yLimit; y <= yLimit; y += gridSize) {
+      ctx.beginPath();
+      ctx.moveTo(-xLimit, y);
+      ctx.lineTo(xLimit, y + gestures.panY * 90);
+      ctx.stroke();
+    }
+    ctx.restore();
+
+    this.glitchSeed += (0.012 + intensity * 0.55 + audio.bandEnergy.high * 0.32 + hihat * 0.9) * restraint + drop * 1.5 + jaw * 0.4;
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighten';
+    const slices = 16;
+    for (let i = 0; i < slices; i += 1) {
+      const sliceHeight = height / slices;
+      const y = i * sliceHeight;
+      const offset =
+        Math.sin(this.glitchSeed + i * 1.3 + time * 0.3) *
+        ((audio.bandEnergy.high + intensity * 0.45 + hihat * 0.7) * restraint + drop + jaw * 0.5) *
+        90 *
+        this.parameters.glitch.value;
+      ctx.drawImage(ctx.canvas, 0, y, width, sliceHeight, offset, y, width, sliceHeight);
+    }
+    ctx.restore();
+
+    this._updateRings(width, height, hands, intensity, palette);
+    this._drawRings(ctx, palette);
+
+    const flash = Math.max(Math.max(pulse, snare * 0.8) * restraint, drop, clap);
+    if (flash > 0.25) {
+      ctx.save();
+      ctx.globalCompositeOperation = 'screen';
+      ctx.fillStyle = `hsla(${palette.glowHue + flash * 60}, 100%, 65%, ${0.08 + flash * 0.35})`;
+      ctx.fillRect(0, 0, width, height);
+      ctx.restore();
+    }
+
+    ctx.globalCompositeOperation = 'source-over';
+  }
+
+  _updateRings(width, height, hands, intensity, palette) {
+    const now = performance.now();
+    const decayBase = 0.016;
+
+    this.rings = this.rings
+      .map((ring) => ({
+        ...ring,
+        radius: ring.radius + ring.speed,
+        life: ring.life - ring.decay,
+        alpha: Math.max(0, ring.life),
+      }))
+      .filter((ring) => ring.life > 0);
+
+    const activeHands = new Set();
+    hands.hands.forEach((hand) => {
+      const id = hand.id;
+      activeHands.add(id);
+      const extension = hand.extension ?? 0;
+      const gesture = hand.gesture ?? 'closed';
+      const lastEmit = this.lastEmitTime.get(id) ?? 0;
+      const emitInterval = gesture === 'open' ? 180 : 240;
+      const shouldEmit = now - lastEmit > emitInterval;
+
+      const tip = hand.indexTip;
+      if (!tip) return;
+      const x = tip.x * width;
+      const y = tip.y * height;
+
+      if (gesture === 'open' && shouldEmit) {
+        this._spawnRing(x, y, 'open', intensity, palette);
+        this.lastEmitTime.set(id, now);
+      } else if (gesture === 'closed' && extension < 0.4 && shouldEmit) {
+        this._spawnRing(x, y, 'closed', intensity, palette);
+        this.lastEmitTime.set(id, now);
+      }
+
+      this.prevGestures.set(id, gesture);
+    });
+
+    Array.from(this.prevGestures.keys()).forEach((id) => {
+      if (!activeHands.has(id)) {
+        this.prevGestures.delete(id);
+        this.lastEmitTime.delete(id);
+      }
+    });
+  }
+
+  _spawnDropBurst(width, height, intensity, palette) {
+    for (let i = 0; i < 6; i += 1) {
+      this._spawnRing(width / 2, height / 2, i % 2 === 0 ? 'open' : 'closed', Math.min(1, intensity + 0.3 + i * 0.1), palette);
+    }
+  }
+
+  _spawnRing(x, y, type, intensity, palette) {
+    const ring = {
+      x,
+      y,
+      radius: type === 'open' ? 30 : 18,
+      speed: type === 'open' ? 6 + intensity * 18 : 10 + intensity * 22,
+      life: 1,
+      decay: type === 'open' ? 0.016 : 0.02,
+      alpha: 1,
+      type,
+      hue: type === 'open' ? palette.glowHue : (palette.baseHue + 180) % 360,
+      lineWidth: type === 'open' ? 8 + intensity * 6 : 4 + intensity * 4,
+    };
+    this.rings.push(ring);
+  }
+
+  _drawRings(ctx, palette) {
+    ctx.save();
+    this.rings.forEach((ring) => {
+      if (ring.type === 'open') {
+        ctx.globalCompositeOperation = 'lighter';
+        ctx.lineWidth = ring.lineWidth;
+        ctx.strokeStyle = `hsla(${ring.hue}, 100%, 70%, ${0.12 + ring.alpha * 0.35})`;
+        ctx.beginPath();
+        ctx.arc(ring.x, ring.y, ring.radius, 0, Math.PI * 2);
+        ctx.stroke();
+      } else {
+        ctx.globalCompositeOperation = 'screen';
+        ctx.setLineDash([14, 12]);
+        ctx.lineWidth = ring.lineWidth;
+        ctx.strokeStyle = `hsla(${ring.hue}, 90%, 65%, ${0.1 + ring.alpha * 0.4})`;
+        ctx.beginPath();
+        ctx.arc(ring.x, ring.y, ring.radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+    });
+    ctx.restore();
+  }
+}
+class SpectrumBloomScene {
+  constructor() {
+    this.parameters = {
+      length: { label: "Length", value: 1, min: 0.2, max: 2, step: 0.05 },
+      spin: { label: "Spin", value: 1, min: 0, max: 3, step: 0.05 },
+      trails: { label: "Trails", value: 0.6, min: 0, max: 0.95, step: 0.05 },
+    };
+    this.init();
+  }
+
+  init() {
+    this.rotation = 0;
+    this.lastTime = 0;
+  }
+
+  dispose() {
+    this.lastTime = 0;
+  }
+
+  render(ctx, shared) {
+    const { width, height } = ctx.canvas;
+    const { audio, gestures, palette, audioIntensity } = shared;
+    const now = performance.now();
+    const seconds = this.lastTime ? Math.min((now - this.lastTime) / 1000, 0.1) : 0;
+    this.lastTime = now;
+    const bars = audio.frequencies ?? [];
+    const kick = audio.onsets?.kick?.envelope ?? 0;
+    const pulse = audio.beatPulse ?? 0;
+    this.rotation += seconds * (0.15 + audioIntensity * 0.8 + (audio.bandEnergy?.high ?? 0) * 0.6) * this.parameters.spin.value;
+
+    ctx.save();
+    ctx.globalCompositeOperation = "source-over";
+    ctx.globalAlpha = 1 - this.parameters.trails.value;
+    ctx.fillStyle = palette.bgDark;
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+
+    const size = Math.min(width, height);
+    const cx = width / 2 + (gestures.panX ?? 0) * width * 0.2 + (gestures.headPan?.x ?? 0) * width * 0.1;
+    const cy = height / 2 + (gestures.panY ?? 0) * height * 0.2 + (gestures.headPan?.y ?? 0) * height * 0.1;
+    const inner = size * (0.12 + kick * 0.05 + (audio.bandEnergy?.low ?? 0) * 0.04);
+    const reach = size * 0.36 * this.parameters.length.value;
+
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(this.rotation + (audio.barPhase ?? 0) * Math.PI * 0.25);
+    ctx.globalCompositeOperation = "lighter";
+    ctx.lineCap = "round";
+    const count = bars.length;
+    const spokeWidth = Math.max(2, ((Math.PI * 2 * inner) / Math.max(count * 2, 1)) * 0.7);
+    for (let i = 0; i < count; i += 1) {
+      const value = bars[i];
+      if (value <= 0.02) continue;
+      const length = value * reach;
+      const hue = palette.baseHue + (i / count) * 120;
+      ctx.strokeStyle = `hsla(${hue}, 90%, ${45 + value * 30}%, ${0.35 + value * 0.6})`;
+      ctx.lineWidth = spokeWidth;
+      [1, -1].forEach((side) => {
+        const angle = side * ((i + 0.5) / count) * Math.PI;
+        const dx = Math.sin(angle);
+        const dy = -Math.cos(angle);
+        ctx.beginPath();
+        ctx.moveTo(dx * inner, dy * inner);
+        ctx.lineTo(dx * (inner + length), dy * (inner + length));
+        ctx.stroke();
+      });
+    }
+
+    const core = ctx.createRadialGradient(0, 0, 0, 0, 0, inner * (1 + pulse * 0.6));
+    core.addColorStop(0, `hsla(${palette.glowHue}, 100%, 70%, ${0.3 + pulse * 0.5})`);
+    core.addColorStop(1, "rgba(0, 0, 0, 0)");
+    ctx.fillStyle = core;
+    ctx.beginPath();
+    ctx.arc(0, 0, inner * (1 + pulse * 0.6), 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+}
+
+const SHADER_VERTEX = `#version 300 es
+out vec2 vUv;
+void main() {
+  vec2 p = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+  vUv = p;
+  gl_Position = vec4(p * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+const SHADER_HEADER = `#version 300 es
+precision highp float;
+in vec2 vUv;
+out vec4 fragColor;
+uniform vec2 uResolution;
+uniform float uTime;
+uniform float uBeatPhase;
+uniform float uBarPhase;
+uniform float uBeatPulse;
+uniform float uLevel;
+uniform vec3 uBands;
+uniform vec3 uOnsets;
+uniform sampler2D uSpectrum;
+uniform vec4 uHands[4];
+uniform int uHandCount;
+uniform vec3 uPaletteBase;
+uniform vec3 uPaletteGlow;
+uniform vec3 uPaletteAccent;
+uniform vec4 uParams;
+`;
+
+const NEON_TUNNEL_SHADER = `
+void main() {
+  float aspect = uResolution.x / uResolution.y;
+  vec2 uv = (vUv - 0.5) * vec2(aspect, 1.0);
+  vec2 center = uHandCount > 0 ? (uHands[0].xy - 0.5) * vec2(aspect, 1.0) * 0.3 : vec2(0.0);
+  vec2 p = uv - center;
+  float r = length(p);
+  float a = atan(p.y, p.x);
+  float depth = 0.3 / max(r, 0.001) + uTime * (0.6 + uBands.x * 2.0) * uParams.x;
+  float spec = texture(uSpectrum, vec2(abs(fract(a / 6.28318 * 2.0) - 0.5) * 2.0, 0.5)).r;
+  float rings = smoothstep(0.12, 0.0, abs(fract(depth) - 0.5) - 0.38 + spec * 0.3);
+  float spokes = pow(abs(sin(a * (6.0 + floor(uParams.y * 6.0)) + depth)), 12.0) * (0.2 + uBands.z);
+
+  vec3 col = mix(uPaletteBase, uPaletteAccent, fract(depth * 0.25)) * rings * (0.35 + uLevel * 1.5);
+  col += uPaletteGlow * spokes;
+  col += uPaletteGlow * uBeatPulse * 0.35 * smoothstep(0.6, 0.0, r);
+  col += vec3(uOnsets.y * 0.25) * smoothstep(0.4, 0.0, r);
+  for (int i = 0; i < 4; i++) {
+    if (i >= uHandCount) break;
+    float d = length(uv - (uHands[i].xy - 0.5) * vec2(aspect, 1.0));
+    col += uPaletteGlow * (0.02 + uHands[i].z * 0.04) / (d * d * 40.0 + 0.02) * 0.05;
+  }
+  col *= smoothstep(0.0, 0.12, r);
+  fragColor = vec4(col, 1.0);
+}`;
+
+const LIQUID_SPECTRUM_SHADER = `
+float hash(vec2 p) {
+  return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+}
+
+float noise(vec2 p) {
+  vec2 i = floor(p);
+  vec2 f = fract(p);
+  vec2 u = f * f * (3.0 - 2.0 * f);
+  return mix(mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x), mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x), u.y);
+}
+
+float fbm(vec2 p) {
+  float value = 0.0;
+  float amplitude = 0.5;
+  for (int i = 0; i < 5; i++) {
+    value += amplitude * noise(p);
+    p *= 2.0;
+    amplitude *= 0.5;
+  }
+  return value;
+}
+
+void main() {
+  float aspect = uResolution.x / uResolution.y;
+  vec2 uv = vUv;
+  float t = uTime * 0.2 * uParams.x;
+  vec2 q = uv * vec2(aspect, 1.0) * 3.0;
+  float warp = fbm(q + vec2(t, -t));
+  float n = fbm(q + warp * (1.0 + uBands.x * 2.0) + vec2(-t * 0.5, t));
+  float spec = texture(uSpectrum, vec2(uv.x, 0.5)).r;
+  float wave = smoothstep(0.025, 0.0, abs(uv.y - 0.5 - (spec - 0.3) * 0.5 * uParams.y - (n - 0.5) * 0.2));
+
+  vec3 col = mix(uPaletteBase * 0.3, uPaletteAccent, n) * (0.3 + uLevel);
+  col += uPaletteGlow * wave * (0.5 + uOnsets.x);
+  col += uPaletteGlow * 0.25 * uBeatPulse * clamp(1.0 - abs(uv.y - fract(uBarPhase)) * 8.0, 0.0, 1.0);
+  for (int i = 0; i < 4; i++) {
+    if (i >= uHandCount) break;
+    float d = length((uv - uHands[i].xy) * vec2(aspect, 1.0));
+    col += uPaletteGlow * sin(d * 60.0 - uTime * 8.0) * exp(-d * 8.0) * 0.3;
+  }
+  fragColor = vec4(col, 1.0);
+}`;
+
+const SHADER_UNIFORMS = [
+  "uResolution",
+  "uTime",
+  "uBeatPhase",
+  "uBarPhase",
+  "uBeatPulse",
+  "uLevel",
+  "uBands",
+  "uOnsets",
+  "uSpectrum",
+  "uHands",
+  "uHandCount",
+  "uPaletteBase",
+  "uPaletteGlow",
+  "uPaletteAccent",
+  "uParams",
+];
+
+class ShaderHost {
+  constructor() {
+    this.canvas = document.createElement("canvas");
+    const gl = this.canvas.getContext("webgl2", { alpha: false, antialias: false });
+    if (!gl) {
+      throw new Error("WebGL2 unavailable");
+    }
+    this.gl = gl;
+    this.lost = false;
+    this.generation = 0;
+    this.canvas.addEventListener("webglcontextlost", (event) => {
+      event.preventDefault();
+      this.lost = true;
+      console.warn("WebGL context lost, using Canvas 2D scenes until it is restored.");
+    });
+    this.canvas.addEventListener("webglcontextrestored", () => {
+      this._setup();
+      this.generation += 1;
+      this.lost = false;
+    });
+    this.spectrumData = new Uint8Array(CONFIG.barCount);
+    this.hands = new Float32Array(16);
+    this._setup();
+  }
+
+  get usable() {
+    return !this.lost && !this.gl.isContextLost();
+  }
+
+  _setup() {
+    const gl = this.gl;
+    this.vao = gl.createVertexArray();
+    this.vertexShader = this._compile(gl.VERTEX_SHADER, SHADER_VERTEX);
+    this.spectrum = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.spectrum);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+  }
+
+  createProgram(fragment) {
+    const gl = this.gl;
+    const fragmentShader = this._compile(gl.FRAGMENT_SHADER, SHADER_HEADER + fragment);
+    const program = gl.createProgram();
+    gl.attachShader(program, this.vertexShader);
+    gl.attachShader(program, fragmentShader);
+    gl.linkProgram(program);
+    gl.deleteShader(fragmentShader);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      const log = gl.getProgramInfoLog(program);
+      gl.deleteProgram(program);
+      throw new Error(`Shader link failed: ${log}`);
+    }
+    const uniforms = {};
+    SHADER_UNIFORMS.forEach((name) => {
+      uniforms[name] = gl.getUniformLocation(program, name);
+    });
+    return { program, uniforms, generation: this.generation };
+  }
+
+  deleteProgram({ program, generation }) {
+    if (generation === this.generation) {
+      this.gl.deleteProgram(program);
+    }
+  }
+
+  draw({ program, uniforms }, shared, parameters, width, height) {
+    const gl = this.gl;
+    const scale = CONFIG.shaderResolutionScale;
+    const targetWidth = Math.max(1, Math.round(width * scale));
+    const targetHeight = Math.max(1, Math.round(height * scale));
+    if (this.canvas.width !== targetWidth || this.canvas.height !== targetHeight) {
+      this.canvas.width = targetWidth;
+      this.canvas.height = targetHeight;
+    }
+
+    const audio = shared.audio ?? {};
+    const palette = shared.palette;
+    const bars = audio.frequencies ?? [];
+    for (let i = 0; i < this.spectrumData.length; i += 1) {
+      this.spectrumData[i] = Math.round(clamp(bars[i] ?? 0, 0, 1) * 255);
+    }
+    const hands = shared.hands?.hands ?? [];
+    const handCount = Math.min(hands.length, 4);
+    this.hands.fill(0);
+    for (let i = 0; i < handCount; i += 1) {
+      const tip = hands[i].indexTip;
+      this.hands.set([tip.x, 1 - tip.y, hands[i].pinch, 1], i * 4);
+    }
+    const values = Object.values(parameters).map((parameter) => parameter.value);
+
+    gl.viewport(0, 0, targetWidth, targetHeight);
+    gl.useProgram(program);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.spectrum);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R8, this.spectrumData.length, 1, 0, gl.RED, gl.UNSIGNED_BYTE, this.spectrumData);
+    gl.uniform1i(uniforms.uSpectrum, 0);
+    gl.uniform2f(uniforms.uResolution, targetWidth, targetHeight);
+    gl.uniform1f(uniforms.uTime, performance.now() / 1000);
+    gl.uniform1f(uniforms.uBeatPhase, audio.beatPhase ?? 0);
+    gl.uniform1f(uniforms.uBarPhase, audio.barPhase ?? 0);
+    gl.uniform1f(uniforms.uBeatPulse, audio.beatPulse ?? 0);
+    gl.uniform1f(uniforms.uLevel, shared.audioIntensity ?? 0);
+    gl.uniform3f(uniforms.uBands, audio.bandEnergy?.low ?? 0, audio.bandEnergy?.mid ?? 0, audio.bandEnergy?.high ?? 0);
+    gl.uniform3f(
+      uniforms.uOnsets,
+      audio.onsets?.kick?.envelope ?? 0,
+      audio.onsets?.snare?.envelope ?? 0,
+      audio.onsets?.hihat?.envelope ?? 0,
+    );
+    gl.uniform4fv(uniforms.uHands, this.hands);
+    gl.uniform1i(uniforms.uHandCount, handCount);
+    gl.uniform3fv(uniforms.uPaletteBase, hslToRgb(palette.baseHue, 0.8, 0.5));
+    gl.uniform3fv(uniforms.uPaletteGlow, hslToRgb(palette.glowHue, 0.95, 0.6));
+    gl.uniform3fv(uniforms.uPaletteAccent, hslToRgb(palette.accentHue, 0.8, 0.5));
+    gl.uniform4f(uniforms.uParams, values[0] ?? 0, values[1] ?? 0, values[2] ?? 0, values[3] ?? 0);
+    gl.bindVertexArray(this.vao);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+    gl.bindVertexArray(null);
+  }
+
+  _compile(type, source) {
+    const gl = this.gl;
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      const log = gl.getShaderInfoLog(shader);
+      gl.deleteShader(shader);
+      throw new Error(`Shader compile failed: ${log}`);
+    }
+    return shader;
+  }
+}
+
+let shaderHost;
+
+function getShaderHost() {
+  if (shaderHost === undefined) {
+    try {
+      shaderHost = CONFIG.webglEnabled ? new ShaderHost() : null;
+    } catch (error) {
+      console.warn("WebGL2 renderer unavailable, using Canvas 2D scenes:", error);
+      shaderHost = null;
+    }
+  }
+  return shaderHost;
+}
+
+class ShaderScene {
+  constructor({ fragment, parameters, fallback }) {
+    this.fragment = fragment;
+    this.parameters = parameters;
+    this.createFallback = fallback;
+    this.init();
+  }
+
+  init() {
+    this.program = null;
+    this.fallback = null;
+    this.failed = false;
+  }
+
+  dispose() {
+    if (this.program) {
+      getShaderHost()?.deleteProgram(this.program);
+    }
+    this.fallback?.dispose();
+    this.init();
+  }
+
+  render(ctx, shared) {
+    const host = getShaderHost();
+    const usable = host?.usable ?? false;
+    if (this.program && this.program.generation !== host.generation) {
+      this.program = null;
+    }
+    if (usable && !this.program && !this.failed) {
+      try {
+        this.program = host.createProgram(this.fragment);
+      } catch (error) {
+        console.error(error);
+        this.failed = host.usable;
+      }
+    }
+    if (!usable || !this.program) {
+      this.fallback = this.fallback ?? this.createFallback();
+      this.fallback.render(ctx, shared);
+      return;
+    }
+    if (this.fallback) {
+      this.fallback.dispose();
+      this.fallback = null;
+    }
+
+    const { width, height } = ctx.canvas;
+    host.draw(this.program, shared, this.parameters, width, height);
+    ctx.save();
+    ctx.globalCompositeOperation = "source-over";
+    ctx.globalAlpha = 1;
+    ctx.drawImage(host.canvas, 0, 0, width, height);
+    ctx.restore();
+  }
+}
+
+const SCENE_REGISTRY = [
+  { id: "coolMono", label: "Cool Mono", create: () => new CoolMonoScene() },
+  { id: "spectrumBloom", label: "Spectrum Bloom", create: () => new SpectrumBloomScene() },
+  {
+    id: "neonTunnel",
+    label: "Neon Tunnel (GL)",
+    create: () =>
+      new ShaderScene({
+        fragment: NEON_TUNNEL_SHADER,
+        parameters: {
+          speed: { label: "Speed", value: 1, min: 0, max: 3, step: 0.05 },
+          spokes: { label: "Spokes", value: 0.5, min: 0, max: 1, step: 0.05 },
+        },
+        fallback: () => new SpectrumBloomScene(),
+      }),
+  },
+  {
+    id: "liquidSpectrum",
+    label: "Liquid Spectrum (GL)",
+    create: () =>
+      new ShaderScene({
+        fragment: LIQUID_SPECTRUM_SHADER,
+        parameters: {
+          flow: { label: "Flow", value: 1, min: 0, max: 3, step: 0.05 },
+          wave: { label: "Wave", value: 1, min: 0, max: 2, step: 0.05 },
+        },
+        fallback: () => new CoolMonoScene(),
+      }),
+  },
+];
+
+const SCENE_TRANSITIONS = ["crossfade", "wipe", "glitch"];
+
+class SceneBank {
+  constructor(registry) {
+    this.registry = registry;
+    this.instances = new Map();
+    this.currentId = registry[0].id;
+    this.pending = null;
+    this.transition = null;
+    this.transitionType = CONFIG.sceneTransition;
+    this.quantize = CONFIG.sceneQuantize;
+    this.buffers = [document.createElement("canvas"), document.createElement("canvas")];
+  }
+
+  get current() {
+    return this._instance(this.currentId);
+  }
+
+  get targetId() {
+    return this.pending?.id ?? this.transition?.to ?? this.currentId;
+  }
+
+  label(id) {
+    return this.registry.find((entry) => entry.id === id)?.label ?? id;
+  }
+
+  request(id) {
+    if (!this.registry.some((entry) => entry.id === id)) return;
+    if (id === this.targetId) return;
+    this.pending = { id, type: this.transitionType, requestedAt: performance.now() };
+  }
+
+  step(offset) {
+    const index = this.registry.findIndex((entry) => entry.id === this.targetId);
+    const next = this.registry[(index + offset + this.registry.length) % this.registry.length];
+    this.request(next.id);
+  }
+
+  render(ctx, shared) {
+    const now = performance.now();
+    const audio = shared.audio ?? {};
+    if (this.pending && !this.transition && this._quantized(audio, now)) {
+      this._begin(audio, now);
+    }
+
+    if (!this.transition) {
+      this.current.render(ctx, shared);
+      return;
+    }
+
+    const { from, to, type, start, duration } = this.transition;
+    const progress = clamp((now - start) / duration, 0, 1);
+    const [fromBuffer, toBuffer] = this.buffers.map((buffer) => this._sized(buffer, ctx.canvas));
+    this._instance(from).render(fromBuffer.getContext("2d"), shared);
+    this._instance(to).render(toBuffer.getContext("2d"), shared);
+    this._composite(ctx, fromBuffer, toBuffer, type, progress, shared.palette, now);
+
+    if (progress >= 1) {
+      this.currentId = to;
+      this.transition = null;
+      if (from !== to) {
+        this._instance(from).dispose();
+        this.instances.delete(from);
+      }
+    }
+  }
+
+  _quantized(audio, now) {
+    if (this.quantize === "none" || !(audio.bpm > 0)) return true;
+    if (now - this.pending.requestedAt > CONFIG.sceneQuantizeTimeoutMs) return true;
+    return this.quantize === "beat" ? audio.beatTick : audio.barTick;
+  }
+
+  _begin(audio, now) {
+    const beatMs = audio.bpm > 0 ? 60000 / audio.bpm : CONFIG.sceneFallbackBeatMs;
+    const beats = this.pending.type === "glitch" ? CONFIG.sceneGlitchBeats : CONFIG.sceneTransitionBeats;
+    this.transition = {
+      from: this.currentId,
+      to: this.pending.id,
+      type: this.pending.type,
+      start: now,
+      duration: beats * beatMs,
+    };
+    this.pending = null;
+  }
+
+  _instance(id) {
+    if (!this.instances.has(id)) {
+      const entry = this.registry.find((candidate) => candidate.id === id);
+      this.instances.set(id, entry.create());
+    }
+    return this.instances.get(id);
+  }
+
+  _sized(buffer, target) {
+    if (buffer.width !== target.width || buffer.height !== target.height) {
+      buffer.width = target.width;
+      buffer.height = target.height;
+    }
+    return buffer;
+  }
+
+  _composite(ctx, fromBuffer, toBuffer, type, progress, palette, now) {
+    const { width, height } = ctx.canvas;
+    const eased = progress * progress * (3 - 2 * progress);
+    ctx.save();
+    ctx.globalCompositeOperation = "source-over";
+    ctx.globalAlpha = 1;
+    ctx.drawImage(fromBuffer, 0, 0);
+
+    if (type === "wipe") {
+      const edge = width * eased;
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(0, 0, edge, height);
+      ctx.clip();
+      ctx.drawImage(toBuffer, 0, 0);
+      ctx.restore();
+      ctx.fillStyle = `hsla(${palette?.glowHue ?? 200}, 100%, 70%, ${0.8 * (1 - progress)})`;
+      ctx.fillRect(edge - 3, 0, 6, height);
+    } else if (type === "glitch") {
+      const slices = 24;
+      const sliceHeight = height / slices;
+      const frame = Math.floor(now / 40);
+      for (let i = 0; i < slices; i += 1) {
+        const noise = Math.abs(Math.sin(i * 12.9898 + frame * 78.233) * 43758.5453) % 1;
+        if (noise > progress && progress < 0.9) continue;
+        const offset = (noise - 0.5) * 120 * (1 - progress);
+        ctx.drawImage(toBuffer, 0, i * sliceHeight, width, sliceHeight, offset, i * sliceHeight, width, sliceHeight);
+      }
+    } else {
+      ctx.globalAlpha = eased;
+      ctx.drawImage(toBuffer, 0, 0);
+    }
+    ctx.restore();
+  }
+}
+
+const SILHOUETTE_MODES = [
+  { id: "off", label: "Off" },
+  { id: "fill", label: "Silhouette Fill" },
+  { id: "cutout", label: "Background Replace" },
+  { id: "outline", label: "Edge Glow" },
+];
+
+const EFFECT_REGIONS = ["all", "inside", "outside"];
+
+class SilhouetteLayer {
+  constructor(cameraSpace, videoEl) {
+    this.cameraSpace = cameraSpace;
+    this.videoEl = videoEl;
+    this.mode = CONFIG.silhouetteMode;
+    this.buffer = document.createElement("canvas");
+  }
+
+  setMode(mode) {
+    if (SILHOUETTE_MODES.some((entry) => entry.id === mode)) {
+      this.mode = mode;
+    }
+  }
+
+  cycle(step) {
+    const index = SILHOUETTE_MODES.findIndex((entry) => entry.id === this.mode);
+    const next = (index + step + SILHOUETTE_MODES.length) % SILHOUETTE_MODES.length;
+    this.mode = SILHOUETTE_MODES[next].id;
+  }
+
+  render(ctx, shared) {
+    const segmentation = shared.segmentation;
+    if (this.mode === "off" || !segmentation?.present) return;
+    const { width, height } = ctx.canvas;
+    if (this.buffer.width !== width || this.buffer.height !== height) {
+      this.buffer.width = width;
+      this.buffer.height = height;
+    }
+    const bufferCtx = this.buffer.getContext("2d");
+    bufferCtx.save();
+    bufferCtx.clearRect(0, 0, width, height);
+    ctx.save();
+    this[`_${this.mode}`](ctx, bufferCtx, segmentation.mask, shared);
+    ctx.restore();
+    bufferCtx.restore();
+  }
+
+  _fill(ctx, bufferCtx, mask, shared) {
+    const { width, height } = ctx.canvas;
+    const palette = shared.palette;
+    const pulse = shared.audio?.beatPulse ?? 0;
+    const gradient = bufferCtx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, `hsl(${palette.baseHue}, 85%, ${45 + pulse * 20}%)`);
+    gradient.addColorStop(1, `hsl(${palette.accentHue}, 90%, ${35 + pulse * 25}%)`);
+    bufferCtx.fillStyle = gradient;
+    bufferCtx.fillRect(0, 0, width, height);
+    bufferCtx.globalCompositeOperation = "destination-in";
+    bufferCtx.drawImage(mask, 0, 0, width, height);
+    ctx.globalAlpha = CONFIG.silhouetteFillAlpha;
+    ctx.drawImage(this.buffer, 0, 0);
+  }
+
+  _cutout(ctx, bufferCtx, mask) {
+    if (!this.videoEl || this.videoEl.readyState < 2) return;
+    const { width, height } = ctx.canvas;
+    this.cameraSpace.drawVideo(bufferCtx, this.videoEl);
+    bufferCtx.globalCompositeOperation = "destination-in";
+    bufferCtx.drawImage(mask, 0, 0, width, height);
+    ctx.drawImage(this.buffer, 0, 0);
+  }
+
+  _outline(ctx, bufferCtx, mask, shared) {
+    const { width, height } = ctx.canvas;
+    const pulse = shared.audio?.beatPulse ?? 0;
+    bufferCtx.filter = `blur(${CONFIG.silhouetteGlowPx * (1 + pulse)}px)`;
+    bufferCtx.drawImage(mask, 0, 0, width, height);
+    bufferCtx.drawImage(mask, 0, 0, width, height);
+    bufferCtx.filter = "none";
+    bufferCtx.globalCompositeOperation = "destination-out";
+    bufferCtx.drawImage(mask, 0, 0, width, height);
+    bufferCtx.globalCompositeOperation = "source-in";
+    bufferCtx.fillStyle = `hsl(${shared.palette.glowHue}, 100%, ${60 + pulse * 20}%)`;
+    bufferCtx.fillRect(0, 0, width, height);
+    ctx.globalCompositeOperation = "lighter";
+    ctx.globalAlpha = 0.7 + pulse * 0.3;
+    ctx.drawImage(this.buffer, 0, 0);
+  }
+}
+
+class ParticleSystem {
+  constructor(capacity = CONFIG.particleCapacity) {
+    this.capacity = capacity;
+    this.count = 0;
+    this.enabled = CONFIG.particlesEnabled;
+    this.x = new Float32Array(capacity);
+    this.y = new Float32Array(capacity);
+    this.vx = new Float32Array(capacity);
+    this.vy = new Float32Array(capacity);
+    this.life = new Float32Array(capacity);
+    this.maxLife = new Float32Array(capacity);
+    this.size = new Float32Array(capacity);
+    this.hue = new Float32Array(capacity);
+    this.attractors = new Float32Array(CONFIG.particleMaxAttractors * 3);
+    this.carry = new Map();
+    this.frame = 0;
+    this.sweepCarry = (entry, key) => {
+      if (entry.frame !== this.frame) {
+        this.carry.delete(key);
+      }
+    };
+    this.styles = new Array(36 * 8);
+    this.lastTime = 0;
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      this.count = 0;
+    }
+  }
+
+  emit(x, y, vx, vy, lifeSeconds, size, hue) {
+    if (this.count >= this.capacity) return;
+    const i = this.count;
+    this.count += 1;
+    this.x[i] = x;
+    this.y[i] = y;
+    this.vx[i] = vx;
+    this.vy[i] = vy;
+    this.life[i] = lifeSeconds;
+    this.maxLife[i] = lifeSeconds;
+    this.size[i] = size;
+    this.hue[i] = hue;
+  }
+
+  burst(x, y, amount, speed, hue) {
+    for (let n = 0; n < amount; n += 1) {
+      const angle = Math.random() * Math.PI * 2;
+      const velocity = speed * (0.4 + Math.random() * 0.6);
+      this.emit(x, y, Math.cos(angle) * velocity, Math.sin(angle) * velocity, this._lifetime(), 1.5 + Math.random() * 2.5, hue + Math.random() * 30);
+    }
+  }
+
+  update(shared, width, height) {
+    const now = performance.now();
+    const dt = this.lastTime ? Math.min((now - this.lastTime) / 1000, 0.1) : 0;
+    this.lastTime = now;
+    if (!this.enabled || dt === 0) return;
+
+    this._emit(shared, width, height, dt);
+    this._simulate(shared, width, height, dt, now / 1000);
+  }
+
+  render(ctx) {
+    if (!this.enabled || this.count === 0) return;
+    ctx.save();
+    ctx.globalCompositeOperation = "lighter";
+    let lastStyle = -1;
+    for (let i = 0; i < this.count; i += 1) {
+      const fade = this.life[i] / this.maxLife[i];
+      const hueBucket = Math.floor((((this.hue[i] % 360) + 360) % 360) / 10);
+      const alphaBucket = Math.min(7, Math.floor(fade * 8));
+      const styleIndex = hueBucket * 8 + alphaBucket;
+      if (styleIndex !== lastStyle) {
+        ctx.fillStyle = this.styles[styleIndex] ?? (this.styles[styleIndex] = `hsla(${hueBucket * 10}, 95%, 65%, ${(alphaBucket + 1) / 8})`);
+        lastStyle = styleIndex;
+      }
+      const size = this.size[i] * (0.5 + fade * 0.5);
+      ctx.fillRect(this.x[i] - size / 2, this.y[i] - size / 2, size, size);
+    }
+    ctx.restore();
+  }
+
+  _lifetime() {
+    return lerp(CONFIG.particleMinLifeSeconds, CONFIG.particleMaxLifeSeconds, Math.random());
+  }
+
+  _quota(key, amount) {
+    let entry = this.carry.get(key);
+    if (!entry) {
+      entry = { value: 0, frame: 0 };
+      this.carry.set(key, entry);
+    }
+    const total = entry.value + amount;
+    const whole = Math.floor(total);
+    entry.value = total - whole;
+    entry.frame = this.frame;
+    return whole;
+  }
+
+  _emit(shared, width, height, dt) {
+    const { audio, hands, face, palette } = shared;
+    this.frame += 1;
+    for (let h = 0; h < hands.hands.length; h += 1) {
+      const hand = hands.hands[h];
+      const tip = hand.indexTip;
+      const amount = this._quota(hand.id, CONFIG.particleHandRate * (0.3 + Math.min(hand.speed, 3)) * dt);
+      for (let n = 0; n < amount; n += 1) {
+        this.emit(
+          tip.x * width,
+          tip.y * height,
+          hand.velocity.x * width * 0.3 + (Math.random() - 0.5) * 80,
+          hand.velocity.y * height * 0.3 + (Math.random() - 0.5) * 80,
+          this._lifetime(),
+          1.5 + Math.random() * 2,
+          palette.glowHue + Math.random() * 40,
+        );
+      }
+    }
+
+    const nose = face?.landmarks?.[1];
+    if (nose) {
+      const amount = this._quota("face", CONFIG.particleFaceRate * (face.mouthOpen ?? 0) * dt);
+      for (let n = 0; n < amount; n += 1) {
+        this.emit(
+          nose.x * width,
+          nose.y * height,
+          (Math.random() - 0.5) * 160,
+          -60 - Math.random() * 120,
+          this._lifetime(),
+          2 + Math.random() * 2,
+          palette.accentHue + Math.random() * 30,
+        );
+      }
+    }
+    this.carry.forEach(this.sweepCarry);
+
+    const onsets = audio.onsets;
+    if (onsets?.kick?.detected) {
+      this.burst(width / 2, height / 2, CONFIG.particleKickBurst, CONFIG.particleBurstSpeed, palette.baseHue);
+    }
+    if (onsets?.snare?.detected) {
+      this.burst(Math.random() * width, Math.random() * height, CONFIG.particleSnareBurst, CONFIG.particleBurstSpeed * 0.7, palette.accentHue);
+    }
+    if (onsets?.hihat?.detected) {
+      for (let n = 0; n < CONFIG.particleHihatSparkles; n += 1) {
+        this.emit(Math.random() * width, Math.random() * height, 0, 0, 0.3 + Math.random() * 0.3, 1 + Math.random() * 1.5, palette.glowHue + 180);
+      }
+    }
+  }
+
+  _simulate(shared, width, height, dt, time) {
+    const { audio, hands } = shared;
+    const attractorCount = Math.min(hands.hands.length, CONFIG.particleMaxAttractors);
+    for (let h = 0; h < attractorCount; h += 1) {
+      const hand = hands.hands[h];
+      const offset = h * 3;
+      this.attractors[offset] = hand.palmCenter.x * width;
+      this.attractors[offset + 1] = hand.palmCenter.y * height;
+      this.attractors[offset + 2] = hand.gesture === "open" ? -CONFIG.particlePalmForce * 1.5 : CONFIG.particlePalmForce;
+    }
+
+    const turbulence = CONFIG.particleTurbulence * (0.2 + (audio.bandEnergy?.high ?? 0) * 2);
+    const drag = Math.pow(CONFIG.particleDrag, dt);
+    const radius2 = CONFIG.particlePalmRadius * CONFIG.particlePalmRadius;
+    let i = 0;
+    while (i < this.count) {
+      this.life[i] -= dt;
+      if (this.life[i] <= 0) {
+        this._remove(i);
+        continue;
+      }
+
+      const x = this.x[i];
+      const y = this.y[i];
+      const angle = Math.sin(x * 0.004 + time) * Math.cos(y * 0.004 - time * 0.7) * Math.PI * 2;
+      let ax = Math.cos(angle) * turbulence;
+      let ay = Math.sin(angle) * turbulence;
+      for (let a = 0; a < attractorCount; a += 1) {
+        const dx = this.attractors[a * 3] - x;
+        const dy = this.attractors[a * 3 + 1] - y;
+        const d2 = dx * dx + dy * dy + radius2;
+        const force = (this.attractors[a * 3 + 2] * radius2) / d2;
+        const inv = 1 / Math.sqrt(d2);
+        ax += dx * inv * force;
+        ay += dy * inv * force;
+      }
+
+      this.vx[i] = (this.vx[i] + ax * dt) * drag;
+      this.vy[i] = (this.vy[i] + ay * dt) * drag;
+      this.x[i] = x + this.vx[i] * dt;
+      this.y[i] = y + this.vy[i] * dt;
+      i += 1;
+    }
+  }
+
+  _remove(i) {
+    const last = this.count - 1;
+    if (i !== last) {
+      this.x[i] = this.x[last];
+      this.y[i] = this.y[last];
+      this.vx[i] = this.vx[last];
+      this.vy[i] = this.vy[last];
+      this.life[i] = this.life[last];
+      this.maxLife[i] = this.maxLife[last];
+      this.size[i] = this.size[last];
+      this.hue[i] = this.hue[last];
+    }
+    this.count = last;
+  }
+}
+
+class FingerTrailLayer {
+  constructor() {
+    this.airDrawing = false;
+    this.strokes = [];
+    this.activeStrokes = new Map();
+    this.strokeEnds = new Map();
+  }
+
+  isDrawing(handId, now) {
+    return this.activeStrokes.has(handId) || now - (this.strokeEnds.get(handId) ?? -Infinity) < CONFIG.airDrawClearGraceMs;
+  }
+
+  setAirDrawing(enabled) {
+    this.airDrawing = enabled;
+    this.activeStrokes.clear();
+  }
+
+  clear() {
+    this.strokes = [];
+    this.activeStrokes.clear();
+  }
+
+  render(ctx, shared) {
+    const { width, height } = ctx.canvas;
+    const { hands, palette, audioIntensity } = shared;
+    if (this.airDrawing) {
+      this._updateStrokes(hands.hands, palette);
+    }
+
+    ctx.save();
+    ctx.globalCompositeOperation = "lighter";
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    this.strokes.forEach((stroke) => {
+      this._drawRibbon(ctx, stroke.points, width, height, stroke.hue, stroke.width, (t) => 0.6 + Math.sin(t * Math.PI) * 0.4);
+    });
+    Object.entries(hands.paths).forEach(([id, trail], index) => {
+      const speed = trail[trail.length - 1]?.speed ?? 0;
+      const speedBoost = clamp(speed / CONFIG.trailSpeedForMaxWidth, 0, 1);
+      const baseWidth = CONFIG.trailBaseWidth * (1 + speedBoost * 1.5 + audioIntensity * 1.2);
+      const hue = index % 2 === 0 ? palette.glowHue : palette.accentHue;
+      this._drawRibbon(ctx, trail, width, height, hue, baseWidth, (t) => t);
+    });
+    ctx.restore();
+  }
+
+  _updateStrokes(hands, palette) {
+    const present = new Set();
+    hands.forEach((hand) => {
+      present.add(hand.id);
+      let stroke = this.activeStrokes.get(hand.id);
+      const pinching = hand.pinch > (stroke ? CONFIG.airDrawReleasePinch : CONFIG.airDrawPinch);
+      if (!pinching) {
+        if (stroke) {
+          this.activeStrokes.delete(hand.id);
+          this.strokeEnds.set(hand.id, performance.now());
+        }
+        return;
+      }
+      if (!stroke) {
+        stroke = { points: [], hue: palette.glowHue, width: CONFIG.airDrawWidth };
+        this.strokes.push(stroke);
+        this.activeStrokes.set(hand.id, stroke);
+        if (this.strokes.length > CONFIG.airDrawMaxStrokes) {
+          this.strokes.shift();
+        }
+      }
+      const point = midpoint(hand.thumbTip, hand.indexTip);
+      const last = stroke.points[stroke.points.length - 1];
+      if (!last || distance2D(last, point) > CONFIG.airDrawMinStep) {
+        stroke.points.push({ x: point.x, y: point.y, life: 1 });
+        if (stroke.points.length > CONFIG.airDrawMaxPoints) {
+          stroke.points.shift();
+        }
+      }
+    });
+    Array.from(this.activeStrokes.keys()).forEach((id) => {
+      if (!present.has(id)) {
+        this.activeStrokes.delete(id);
+      }
+    });
+    Array.from(this.strokeEnds.keys()).forEach((id) => {
+      if (!present.has(id)) {
+        this.strokeEnds.delete(id);
+      }
+    });
+  }
+
+  _drawRibbon(ctx, points, width, height, hue, baseWidth, taper) {
+    const count = points.length;
+    if (count < 3) return;
+    for (let i = 1; i < count - 1; i += 1) {
+      const start = midpoint(points[i - 1], points[i]);
+      const end = midpoint(points[i], points[i + 1]);
+      const t = i / (count - 1);
+      const life = points[i].life ?? 1;
+      const lineWidth = Math.max(baseWidth * taper(t) * life, 0.5);
+      const alpha = (0.25 + t * 0.75) * life;
+
+      ctx.beginPath();
+      ctx.moveTo(start.x * width, start.y * height);
+      ctx.quadraticCurveTo(points[i].x * width, points[i].y * height, end.x * width, end.y * height);
+      ctx.strokeStyle = `hsla(${hue + t * 30}, 95%, 60%, ${alpha * 0.15})`;
+      ctx.lineWidth = lineWidth * 3;
+      ctx.stroke();
+      ctx.strokeStyle = `hsla(${hue + t * 30}, 95%, ${60 + t * 25}%, ${alpha})`;
+      ctx.lineWidth = lineWidth;
+      ctx.stroke();
+    }
+  }
+}
+
+class DebugOverlay {
+  render(ctx, shared) {
+    const { width, height } = ctx.canvas;
+    const toCanvas = (lm) => ({ x: lm.x * width, y: lm.y * height });
+
+    ctx.save();
+    ctx.globalCompositeOperation = "source-over";
+    ctx.font = "12px 'Segoe UI', sans-serif";
+    ctx.textBaseline = "top";
+
+    (shared.performers ?? []).forEach((performer) => {
+      const pose = performer.pose?.landmarks;
+      if (pose && performer.present) {
+        this._drawConnections(ctx, pose, PoseLandmarker.POSE_CONNECTIONS, toCanvas, "rgba(120, 220, 255, 0.85)", 3, (lm) => (lm.visibility ?? 1) >= CONFIG.poseVisibilityFloor);
+        this._drawPoints(ctx, pose, toCanvas, "rgba(255, 255, 255, 0.9)", 3);
+        const head = toCanvas(pose[0]);
+        this._label(ctx, `#${performer.id} motion ${(performer.pose.motionEnergy * 100).toFixed(0)}%`, head.x + 12, head.y - 36);
+      }
+
+      const face = performer.face;
+      if (face?.landmarks && performer.present) {
+        this._drawConnections(ctx, face.landmarks, FaceLandmarker.FACE_LANDMARKS_CONTOURS, toCanvas, "rgba(255, 200, 120, 0.75)", 1);
+        const chin = toCanvas(face.landmarks[152]);
+        this._label(
+          ctx,
+          [
+            `smile ${face.smile.toFixed(2)} jaw ${face.mouthOpen.toFixed(2)} brow ${face.browRaise.toFixed(2)}`,
+            `eyeOpenness ${face.eyeOpenness.toFixed(2)} L ${face.eyes.left.openness.toFixed(2)} R ${face.eyes.right.openness.toFixed(2)}`,
+          ],
+          chin.x - 80,
+          chin.y + 8,
+        );
+      }
+    });
 
-    return {
-      eyeOpenness,
-      browRaise,
-      smile,
-      mouthOpen,
-      headTilt: { roll },
-    };
+    shared.hands.hands.forEach((hand) => {
+      const landmarks = hand.rawLandmarks;
+      this._drawConnections(ctx, landmarks, HandLandmarker.HAND_CONNECTIONS, toCanvas, "rgba(180, 255, 160, 0.85)", 2);
+      this._drawPoints(ctx, landmarks, toCanvas, "rgba(255, 255, 255, 0.95)", 2.5);
+      const wrist = toCanvas(landmarks[0]);
+      this._label(
+        ctx,
+        [
+          `${hand.handedness} ${hand.id}${hand.performerId ? ` #${hand.performerId}` : ""}`,
+          `pinch ${hand.pinch.toFixed(2)} spread ${hand.spread.toFixed(2)}`,
+          `extension ${hand.extension.toFixed(2)} ${hand.gesture}`,
+          `${hand.shape} (${hand.extendedCount}) speed ${hand.speed.toFixed(2)}`,
+        ],
+        wrist.x + 12,
+        wrist.y + 8,
+      );
+    });
+
+    ctx.restore();
   }
 
-  _eyeOpenness(landmarks, upperIdx, lowerIdx, leftIdx, rightIdx) {
-    const vertical = distance2D(landmarks[upperIdx], landmarks[lowerIdx]);
-    const horizontal = distance2D(landmarks[leftIdx], landmarks[rightIdx]) + 1e-6;
-    return clamp((vertical / horizontal) * 3, 0, 1);
+  _drawConnections(ctx, landmarks, connections = [], toCanvas, color, lineWidth, visible = () => true) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+    connections.forEach(({ start, end }) => {
+      const a = landmarks[start];
+      const b = landmarks[end];
+      if (!a || !b || !visible(a) || !visible(b)) return;
+      const from = toCanvas(a);
+      const to = toCanvas(b);
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(to.x, to.y);
+    });
+    ctx.stroke();
   }
 
-  _updateBlink(openness) {
-    const now = performance.now();
-    const currentlyBlinking = openness < 0.18;
-    if (currentlyBlinking && !this.isBlinking && now - this.prevBlinkTime > CONFIG.blinkCooldownMs) {
-      this.blinkCount += 1;
-      this.prevBlinkTime = now;
-    }
-    this.isBlinking = currentlyBlinking;
+  _drawPoints(ctx, landmarks, toCanvas, color, radius) {
+    ctx.fillStyle = color;
+    landmarks.forEach((lm) => {
+      const point = toCanvas(lm);
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    });
   }
 
-  _empty() {
-    return {
-      eyeOpenness: 0,
-      browRaise: 0,
-      smile: 0,
-      mouthOpen: 0,
-      headTilt: { roll: 0 },
-      blinkCount: this.blinkCount,
-      blinkTriggered: false,
-    };
+  _label(ctx, text, x, y) {
+    const lines = Array.isArray(text) ? text : [text];
+    const boxWidth = Math.max(...lines.map((line) => ctx.measureText(line).width)) + 12;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(x, y, boxWidth, lines.length * 15 + 8);
+    ctx.fillStyle = "rgba(255, 255, 255, 0.92)";
+    lines.forEach((line, index) => {
+      ctx.fillText(line, x + 6, y + 4 + index * 15);
+    });
   }
 }
 
-class PaletteController {
+class SegmentationTracker {
   constructor() {
-    this.index = 0;
-    this.lastSwitch = performance.now();
-    this.beatCount = 0;
-    this.lastBeatAt = 0;
+    this.raw = document.createElement("canvas");
+    this.mask = document.createElement("canvas");
+    this.confidence = null;
+    this.imageData = null;
+    this.lastSeen = 0;
+    this.state = this._empty();
   }
 
-  update({ audioIntensity, beatPulse, beatDetected, bpm }) {
-    const now = performance.now();
-
-    if (beatDetected) {
-      this.lastBeatAt = now;
-      this.beatCount += 1;
+  update(masks, cameraSpace, width, height, timestamp) {
+    const source = masks?.[0];
+    if (!source) {
+      if (timestamp - this.lastSeen > CONFIG.segmentationTimeoutMs) {
+        this.state = this._empty();
+      }
+      return this.state;
     }
 
-    const beatDuration = bpm > 0 ? 60000 / bpm : 0;
-    const targetHold = beatDuration > 0 ? beatDuration * CONFIG.paletteBeatsPerCycle : CONFIG.paletteMinHoldMs;
-    const sinceSwitch = now - this.lastSwitch;
-    const holdSatisfied = sinceSwitch >= Math.max(CONFIG.paletteMinHoldMs, targetHold);
-    const strongPulse = beatPulse > CONFIG.paletteBeatPulseGate || beatDetected;
-
-    if (holdSatisfied && strongPulse && this.beatCount >= CONFIG.paletteBeatsPerCycle) {
-      this.index = (this.index + 1) % COLOR_THEMES.length;
-      this.lastSwitch = now;
-      this.beatCount = 0;
+    const values = source.getAsFloat32Array();
+    this._resizeRaw(source.width, source.height);
+    const pixels = this.imageData.data;
+    const smoothing = CONFIG.segmentationSmoothing;
+    const low = CONFIG.segmentationThreshold - CONFIG.segmentationSoftness;
+    const range = CONFIG.segmentationSoftness * 2;
+    let coverage = 0;
+    let sumX = 0;
+    let sumY = 0;
+    for (let i = 0; i < values.length; i += 1) {
+      const confidence = this.confidence[i] * smoothing + values[i] * (1 - smoothing);
+      this.confidence[i] = confidence;
+      const alpha = clamp((confidence - low) / range, 0, 1);
+      pixels[i * 4 + 3] = alpha * 255;
+      coverage += alpha;
+      sumX += (i % source.width) * alpha;
+      sumY += Math.floor(i / source.width) * alpha;
     }
+    this.raw.getContext("2d").putImageData(this.imageData, 0, 0);
 
-    const timeSinceBeat = now - this.lastBeatAt;
-    const quiet = audioIntensity < CONFIG.paletteQuietIntensity;
-    if (quiet && holdSatisfied && timeSinceBeat > CONFIG.paletteQuietResetMs) {
-      this.index = 0;
-      this.lastSwitch = now;
-      this.beatCount = 0;
+    if (this.mask.width !== width || this.mask.height !== height) {
+      this.mask.width = width;
+      this.mask.height = height;
     }
+    const maskCtx = this.mask.getContext("2d");
+    maskCtx.clearRect(0, 0, width, height);
+    maskCtx.save();
+    maskCtx.filter = `blur(${CONFIG.segmentationFeatherPx}px)`;
+    cameraSpace.drawVideo(maskCtx, this.raw);
+    maskCtx.restore();
+
+    this.lastSeen = timestamp;
+    const area = coverage / values.length;
+    this.state = {
+      present: area > CONFIG.segmentationMinCoverage,
+      coverage: area,
+      centroid: coverage > 0 ? cameraSpace.point({ x: sumX / coverage / source.width, y: sumY / coverage / source.height }) : null,
+      mask: this.mask,
+    };
+    return this.state;
+  }
+
+  _resizeRaw(width, height) {
+    if (this.raw.width === width && this.raw.height === height && this.imageData) return;
+    this.raw.width = width;
+    this.raw.height = height;
+    this.confidence = new Float32Array(width * height);
+    this.imageData = new ImageData(width, height);
+    this.imageData.data.fill(255);
+  }
 
-    return COLOR_THEMES[this.index];
+  _empty() {
+    return { present: false, coverage: 0, centroid: null, mask: this.mask };
   }
 }
 
-class CoolMonoScene {
+class CameraSpace {
   constructor() {
-    this.glitchSeed = 0;
-    this.rings = [];
-    this.prevGestures = new Map();
-    this.lastEmitTime = new Map();
+    this.mirror = CONFIG.mirrorCamera;
+    this.scaleX = 1;
+    this.scaleY = 1;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.drawRect = { x: 0, y: 0, width: 1, height: 1 };
   }
 
-  render(ctx, shared) {
-    const { width, height } = ctx.canvas;
-    const { audio, gestures, hands, face, palette, audioIntensity } = shared;
-    const intensity = audioIntensity;
-    const pulse = audio.beatPulse ?? 0;
-    const time = performance.now() * 0.001;
+  setMirror(enabled) {
+    this.mirror = enabled;
+  }
 
-    ctx.fillStyle = palette.bgDark;
-    ctx.fillRect(0, 0, width, height);
+  update(videoWidth, videoHeight, canvasWidth, canvasHeight) {
+    if (!videoWidth || !videoHeight || !canvasWidth || !canvasHeight) return;
+    const scale = Math.max(canvasWidth / videoWidth, canvasHeight / videoHeight);
+    const width = videoWidth * scale;
+    const height = videoHeight * scale;
+    this.drawRect = { x: (canvasWidth - width) / 2, y: (canvasHeight - height) / 2, width, height };
+    this.scaleX = width / canvasWidth;
+    this.scaleY = height / canvasHeight;
+    this.offsetX = this.drawRect.x / canvasWidth;
+    this.offsetY = this.drawRect.y / canvasHeight;
+  }
 
-    const gradient = ctx.createLinearGradient(0, 0, width, height);
-    gradient.addColorStop(0, `hsla(${palette.baseHue + intensity * 35}, 70%, ${18 + intensity * 32}%, ${0.45 + intensity * 0.3})`);
-    gradient.addColorStop(1, `hsla(${palette.accentHue + audio.bandEnergy.mid * 60}, 70%, ${24 + intensity * 36}%, ${0.38 + audio.bandEnergy.high * 0.35})`);
-    ctx.globalCompositeOperation = 'screen';
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, width, height);
+  point(lm) {
+    const x = this.mirror ? 1 - lm.x : lm.x;
+    return { ...lm, x: x * this.scaleX + this.offsetX, y: lm.y * this.scaleY + this.offsetY };
+  }
 
-    const ringRadius = 140 + intensity * 220 + pulse * 260;
-    const ringGradient = ctx.createRadialGradient(width / 2, height / 2, 40, width / 2, height / 2, ringRadius);
-    ringGradient.addColorStop(0, `hsla(${palette.glowHue + pulse * 40}, 95%, ${55 + intensity * 25}%, ${0.25 + pulse * 0.4})`);
-    ringGradient.addColorStop(1, 'rgba(0,0,0,0)');
-    ctx.fillStyle = ringGradient;
-    ctx.fillRect(0, 0, width, height);
+  landmarks(list) {
+    return list.map((lm) => this.point(lm));
+  }
 
-    ctx.save();
-    ctx.translate(width / 2, height / 2);
-    const scale = 1 + intensity * 0.35 + audio.bandEnergy.low * 0.2 + (face?.browRaise ?? 0) * 0.15;
-    ctx.scale(scale, scale);
-    ctx.rotate(((face?.headTilt?.roll) ?? 0) * 0.6 + intensity * 0.08);
+  poseResult(result) {
+    if (!result?.landmarks) return result;
+    return { ...result, landmarks: result.landmarks.map((list) => this.landmarks(list)) };
+  }
 
-    const gridDensity = clamp(intensity * 0.55 + audio.bandEnergy.low * 0.45, 0, 1);
-    const gridSize = Math.max(72, 190 - gridDensity * 120);
-    ctx.strokeStyle = `hsla(${palette.baseHue}, 18%, 78%, ${0.04 + intensity * 0.22 + audio.bandEnergy.mid * 0.18})`;
-    const xLimit = width * 1.2;
-    const yLimit = height * 1.2;
-    for (let x = -xLimit; x <= xLimit; x += gridSize) {
-      ctx.beginPath();
-      ctx.moveTo(x, -yLimit);
-      ctx.lineTo(x + gestures.panX * 90, yLimit);
-      ctx.stroke();
-    }
-    for (let y = -yLimit; y <= yLimit; y += gridSize) {
-      ctx.beginPath();
-      ctx.moveTo(-xLimit, y);
-      ctx.lineTo(xLimit, y + gestures.panY * 90);
-      ctx.stroke();
-    }
-    ctx.restore();
+  handResult(result) {
+    if (!result?.landmarks) return result;
+    // Handedness labels assume a mirrored selfie image; frames are analysed unmirrored, so flip them to name the performer's own hand.
+    const swap = (category) => ({
+      ...category,
+      categoryName: category.categoryName === "Left" ? "Right" : category.categoryName === "Right" ? "Left" : category.categoryName,
+    });
+    const handedness = (result.handedness ?? result.handednesses)?.map((categories) =>
+      Array.isArray(categories) ? categories.map(swap) : swap(categories),
+    );
+    return { ...result, landmarks: result.landmarks.map((list) => this.landmarks(list)), handedness };
+  }
+
+  faceResult(result) {
+    if (!result?.faceLandmarks) return result;
+    return {
+      ...result,
+      faceLandmarks: result.faceLandmarks.map((list) => this.landmarks(list)),
+      facialTransformationMatrixes: this.mirror
+        ? result.facialTransformationMatrixes?.map((matrix) => this._mirrorMatrix(matrix))
+        : result.facialTransformationMatrixes,
+    };
+  }
 
-    this.glitchSeed += 0.012 + intensity * 0.55 + audio.bandEnergy.high * 0.32;
+  drawVideo(ctx, video) {
+    const { x, y, width, height } = this.drawRect;
     ctx.save();
-    ctx.globalCompositeOperation = 'lighten';
-    const slices = 16;
-    for (let i = 0; i < slices; i += 1) {
-      const sliceHeight = height / slices;
-      const y = i * sliceHeight;
-      const offset = Math.sin(this.glitchSeed + i * 1.3 + time * 0.3) * (audio.bandEnergy.high + intensity * 0.45) * 90;
-      ctx.drawImage(canvas, 0, y, width, sliceHeight, offset, y, width, sliceHeight);
+    if (this.mirror) {
+      ctx.translate(ctx.canvas.width, 0);
+      ctx.scale(-1, 1);
     }
+    ctx.drawImage(video, x, y, width, height);
     ctx.restore();
+  }
 
-    this._updateRings(width, height, hands, intensity, palette);
-    this._drawRings(ctx, palette);
+  _mirrorMatrix(matrix) {
+    const data = Array.from(matrix.data);
+    [1, 2, 3, 4, 8, 12].forEach((index) => {
+      data[index] = -data[index];
+    });
+    return { ...matrix, data };
+  }
+}
+
+const POST_EFFECTS = [
+  { id: "feedback", label: "Feedback", enabled: false, intensity: 0.35, source: "low", depth: 0.3, region: "all" },
+  { id: "mirror", label: "Mirror", enabled: false, intensity: 1, source: "none", depth: 0, region: "all" },
+  { id: "kaleidoscope", label: "Kaleidoscope", enabled: false, intensity: 0.8, source: "none", depth: 0, region: "all" },
+  { id: "pixelate", label: "Pixelate", enabled: false, intensity: 0.2, source: "snare", depth: 0.5, region: "all" },
+  { id: "rgbSplit", label: "RGB Split", enabled: false, intensity: 0, source: "hihat", depth: 0.6, region: "all" },
+  { id: "bloom", label: "Bloom", enabled: false, intensity: 0.3, source: "level", depth: 0.4, region: "all" },
+  { id: "scanlines", label: "Scanlines", enabled: false, intensity: 0.2, source: "none", depth: 0, region: "all" },
+  { id: "invert", label: "Invert", enabled: false, intensity: 0, source: "kick", depth: 1, region: "all" },
+];
 
-    if (pulse > 0.25) {
+const MODULATION_SOURCES = {
+  none: () => 0,
+  level: (audio, shared) => shared.audioIntensity ?? 0,
+  pulse: (audio) => audio.beatPulse ?? 0,
+  low: (audio) => audio.bandEnergy?.low ?? 0,
+  mid: (audio) => audio.bandEnergy?.mid ?? 0,
+  high: (audio) => audio.bandEnergy?.high ?? 0,
+  kick: (audio) => audio.onsets?.kick?.envelope ?? 0,
+  snare: (audio) => audio.onsets?.snare?.envelope ?? 0,
+  hihat: (audio) => audio.onsets?.hihat?.envelope ?? 0,
+};
+
+class PostProcessor {
+  constructor(previousFrame) {
+    this.previousFrame = previousFrame;
+    this.effects = POST_EFFECTS.map((effect) => ({ ...effect }));
+    this.scratch = document.createElement("canvas");
+    this.channel = document.createElement("canvas");
+    this.region = document.createElement("canvas");
+    this.pixelBuffer = document.createElement("canvas");
+    this.bloomBuffer = document.createElement("canvas");
+    this.scanlinePattern = null;
+  }
+
+  resize(width, height) {
+    [this.scratch, this.channel, this.region, this.pixelBuffer].forEach((buffer) => {
+      if (buffer.width !== width || buffer.height !== height) {
+        buffer.width = width;
+        buffer.height = height;
+      }
+    });
+    const bloomWidth = Math.max(1, Math.round(width / 4));
+    const bloomHeight = Math.max(1, Math.round(height / 4));
+    if (this.bloomBuffer.width !== bloomWidth || this.bloomBuffer.height !== bloomHeight) {
+      this.bloomBuffer.width = bloomWidth;
+      this.bloomBuffer.height = bloomHeight;
+    }
+  }
+
+  move(id, offset) {
+    const index = this.effects.findIndex((effect) => effect.id === id);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= this.effects.length) return;
+    const [effect] = this.effects.splice(index, 1);
+    this.effects.splice(target, 0, effect);
+  }
+
+  apply(ctx, shared) {
+    const audio = shared.audio ?? {};
+    const segmentation = shared.segmentation;
+    this.effects.forEach((effect) => {
+      if (!effect.enabled) return;
+      const modulation = (MODULATION_SOURCES[effect.source] ?? MODULATION_SOURCES.none)(audio, shared);
+      const amount = clamp(effect.intensity + modulation * effect.depth, 0, 1);
+      if (amount <= 0.001) return;
+      const masked = effect.region !== "all" && segmentation?.present;
+      if (effect.region === "inside" && !masked) return;
+      if (masked) {
+        this._copyTo(this.region, ctx);
+      }
       ctx.save();
-      ctx.globalCompositeOperation = 'screen';
-      ctx.fillStyle = `hsla(${palette.glowHue + pulse * 60}, 100%, 65%, ${0.08 + pulse * 0.35})`;
-      ctx.fillRect(0, 0, width, height);
+      this[`_${effect.id}`](ctx, amount, shared);
       ctx.restore();
-    }
+      if (masked) {
+        this._restoreRegion(ctx, segmentation.mask, effect.region);
+      }
+    });
 
-    ctx.globalCompositeOperation = 'source-over';
+    const prevCtx = this.previousFrame.getContext("2d");
+    prevCtx.globalCompositeOperation = "copy";
+    prevCtx.drawImage(ctx.canvas, 0, 0);
+    prevCtx.globalCompositeOperation = "source-over";
   }
 
-  _updateRings(width, height, hands, intensity, palette) {
-    const now = performance.now();
-    const decayBase = 0.016;
+  _copyToScratch(ctx) {
+    return this._copyTo(this.scratch, ctx);
+  }
 
-    this.rings = this.rings
-      .map((ring) => ({
-        ...ring,
-        radius: ring.radius + ring.speed,
-        life: ring.life - ring.decay,
-        alpha: Math.max(0, ring.life),
-      }))
-      .filter((ring) => ring.life > 0);
+  _copyTo(buffer, ctx) {
+    const bufferCtx = buffer.getContext("2d");
+    bufferCtx.globalCompositeOperation = "copy";
+    bufferCtx.drawImage(ctx.canvas, 0, 0);
+    bufferCtx.globalCompositeOperation = "source-over";
+    return buffer;
+  }
 
-    const activeHands = new Set();
-    hands.hands.forEach((hand) => {
-      const id = hand.handedness;
-      activeHands.add(id);
-      const extension = hand.extension ?? 0;
-      const gesture = hand.gesture ?? 'closed';
-      const lastEmit = this.lastEmitTime.get(id) ?? 0;
-      const emitInterval = gesture === 'open' ? 180 : 240;
-      const shouldEmit = now - lastEmit > emitInterval;
+  _restoreRegion(ctx, mask, region) {
+    const { width, height } = ctx.canvas;
+    const regionCtx = this.region.getContext("2d");
+    regionCtx.globalCompositeOperation = region === "inside" ? "destination-out" : "destination-in";
+    regionCtx.drawImage(mask, 0, 0, width, height);
+    regionCtx.globalCompositeOperation = "source-over";
+    ctx.drawImage(this.region, 0, 0);
+  }
 
-      const tip = hand.indexTip;
-      if (!tip) return;
-      const x = tip.x * width;
-      const y = tip.y * height;
+  _feedback(ctx, amount, shared) {
+    const { width, height } = ctx.canvas;
+    const pulse = shared.audio?.beatPulse ?? 0;
+    // "lighten" keeps each echo at or below the brightest source pixel, so trails decay instead of piling up to white.
+    ctx.globalCompositeOperation = "lighten";
+    ctx.globalAlpha = amount * CONFIG.feedbackMaxGain;
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate(CONFIG.feedbackRotation * (1 + pulse));
+    const zoom = 1 + CONFIG.feedbackZoom * (0.5 + amount);
+    ctx.scale(zoom, zoom);
+    ctx.drawImage(this.previousFrame, -width / 2, -height / 2, width, height);
+  }
 
-      if (gesture === 'open' && shouldEmit) {
-        this._spawnRing(x, y, 'open', intensity, palette);
-        this.lastEmitTime.set(id, now);
-      } else if (gesture === 'closed' && extension < 0.4 && shouldEmit) {
-        this._spawnRing(x, y, 'closed', intensity, palette);
-        this.lastEmitTime.set(id, now);
+  _mirror(ctx, amount) {
+    const { width, height } = ctx.canvas;
+    const source = this._copyToScratch(ctx);
+    ctx.globalAlpha = amount;
+    ctx.translate(width, 0);
+    ctx.scale(-1, 1);
+    ctx.beginPath();
+    ctx.rect(0, 0, width / 2, height);
+    ctx.clip();
+    ctx.drawImage(source, 0, 0);
+  }
+
+  _kaleidoscope(ctx, amount, shared) {
+    const { width, height } = ctx.canvas;
+    const source = this._copyToScratch(ctx);
+    const segments = CONFIG.kaleidoscopeSegments;
+    const wedge = (Math.PI * 2) / segments;
+    const radius = Math.hypot(width, height);
+    const spin = (shared.audio?.barPhase ?? 0) * wedge;
+    ctx.globalAlpha = amount;
+    ctx.translate(width / 2, height / 2);
+    for (let i = 0; i < segments; i += 1) {
+      ctx.save();
+      ctx.rotate(i * wedge + spin);
+      if (i % 2 === 1) {
+        ctx.scale(1, -1);
       }
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(radius, 0);
+      ctx.lineTo(radius * Math.cos(wedge), radius * Math.sin(wedge));
+      ctx.closePath();
+      ctx.clip();
+      ctx.drawImage(source, -width / 2, -height / 2);
+      ctx.restore();
+    }
+  }
 
-      this.prevGestures.set(id, gesture);
-    });
+  _pixelate(ctx, amount) {
+    const { width, height } = ctx.canvas;
+    const block = 1 + amount * CONFIG.pixelateMaxBlock;
+    const smallWidth = Math.max(1, Math.round(width / block));
+    const smallHeight = Math.max(1, Math.round(height / block));
+    const pixelCtx = this.pixelBuffer.getContext("2d");
+    pixelCtx.imageSmoothingEnabled = true;
+    pixelCtx.globalCompositeOperation = "copy";
+    pixelCtx.drawImage(ctx.canvas, 0, 0, smallWidth, smallHeight);
+    pixelCtx.globalCompositeOperation = "source-over";
+    ctx.imageSmoothingEnabled = false;
+    ctx.globalCompositeOperation = "copy";
+    ctx.drawImage(this.pixelBuffer, 0, 0, smallWidth, smallHeight, 0, 0, width, height);
+  }
 
-    Array.from(this.prevGestures.keys()).forEach((id) => {
-      if (!activeHands.has(id)) {
-        this.prevGestures.delete(id);
-        this.lastEmitTime.delete(id);
-      }
+  _rgbSplit(ctx, amount) {
+    const { width, height } = ctx.canvas;
+    const source = this._copyToScratch(ctx);
+    const channelCtx = this.channel.getContext("2d");
+    const offset = amount * CONFIG.rgbSplitMaxOffset * (width / 1280);
+    ctx.globalCompositeOperation = "copy";
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, width, height);
+    ctx.globalCompositeOperation = "lighter";
+    [
+      ["#ff0000", -offset],
+      ["#00ff00", 0],
+      ["#0000ff", offset],
+    ].forEach(([color, dx]) => {
+      channelCtx.globalCompositeOperation = "copy";
+      channelCtx.drawImage(source, 0, 0);
+      channelCtx.globalCompositeOperation = "multiply";
+      channelCtx.fillStyle = color;
+      channelCtx.fillRect(0, 0, width, height);
+      ctx.drawImage(this.channel, dx, 0);
     });
+    channelCtx.globalCompositeOperation = "source-over";
   }
 
-  _spawnRing(x, y, type, intensity, palette) {
-    const ring = {
-      x,
-      y,
-      radius: type === 'open' ? 30 : 18,
-      speed: type === 'open' ? 6 + intensity * 18 : 10 + intensity * 22,
-      life: 1,
-      decay: type === 'open' ? 0.016 : 0.02,
-      alpha: 1,
-      type,
-      hue: type === 'open' ? palette.glowHue : (palette.baseHue + 180) % 360,
-      lineWidth: type === 'open' ? 8 + intensity * 6 : 4 + intensity * 4,
-    };
-    this.rings.push(ring);
+  _bloom(ctx, amount) {
+    const { width, height } = ctx.canvas;
+    const bloomCtx = this.bloomBuffer.getContext("2d");
+    bloomCtx.filter = `blur(${2 + amount * 6}px) brightness(${1 + amount})`;
+    bloomCtx.globalCompositeOperation = "copy";
+    bloomCtx.drawImage(ctx.canvas, 0, 0, this.bloomBuffer.width, this.bloomBuffer.height);
+    bloomCtx.filter = "none";
+    bloomCtx.globalCompositeOperation = "source-over";
+    ctx.globalCompositeOperation = "screen";
+    ctx.globalAlpha = amount;
+    ctx.drawImage(this.bloomBuffer, 0, 0, width, height);
   }
 
-  _drawRings(ctx, palette) {
-    ctx.save();
-    this.rings.forEach((ring) => {
-      if (ring.type === 'open') {
-        ctx.globalCompositeOperation = 'lighter';
-        ctx.lineWidth = ring.lineWidth;
-        ctx.strokeStyle = `hsla(${ring.hue}, 100%, 70%, ${0.12 + ring.alpha * 0.35})`;
-        ctx.beginPath();
-        ctx.arc(ring.x, ring.y, ring.radius, 0, Math.PI * 2);
-        ctx.stroke();
-      } else {
-        ctx.globalCompositeOperation = 'screen';
-        ctx.setLineDash([14, 12]);
-        ctx.lineWidth = ring.lineWidth;
-        ctx.strokeStyle = `hsla(${ring.hue}, 90%, 65%, ${0.1 + ring.alpha * 0.4})`;
-        ctx.beginPath();
-        ctx.arc(ring.x, ring.y, ring.radius, 0, Math.PI * 2);
-        ctx.stroke();
-        ctx.setLineDash([]);
-      }
-    });
-    ctx.restore();
+  _scanlines(ctx, amount) {
+    const { width, height } = ctx.canvas;
+    if (!this.scanlinePattern) {
+      const tile = document.createElement("canvas");
+      tile.width = 1;
+      tile.height = 4;
+      const tileCtx = tile.getContext("2d");
+      tileCtx.fillStyle = "#fff";
+      tileCtx.fillRect(0, 0, 1, 4);
+      tileCtx.fillStyle = "#000";
+      tileCtx.fillRect(0, 2, 1, 2);
+      this.scanlinePattern = ctx.createPattern(tile, "repeat");
+    }
+    const scroll = (performance.now() / 40) % 4;
+    ctx.globalCompositeOperation = "multiply";
+    ctx.globalAlpha = amount * 0.6;
+    ctx.translate(0, scroll);
+    ctx.fillStyle = this.scanlinePattern;
+    ctx.fillRect(0, -4, width, height + 8);
+  }
+
+  _invert(ctx, amount) {
+    const { width, height } = ctx.canvas;
+    ctx.globalCompositeOperation = "difference";
+    ctx.globalAlpha = amount;
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, width, height);
   }
 }
+
 class Renderer {
-  constructor(ctx, videoEl) {
+  constructor(ctx, videoEl, cameraSpace) {
     this.ctx = ctx;
     this.videoEl = videoEl;
-    this.scene = new CoolMonoScene();
+    this.cameraSpace = cameraSpace;
+    this.scenes = new SceneBank(SCENE_REGISTRY);
+    this.trails = new FingerTrailLayer();
+    this.particles = new ParticleSystem();
+    this.silhouette = new SilhouetteLayer(cameraSpace, videoEl);
+    this.debugOverlay = new DebugOverlay();
+    this.showDebug = false;
+    this.showHud = CONFIG.hudEnabled;
     this.paletteController = new PaletteController();
+    this.lastPoseEvent = null;
+    this.lastHandEvent = null;
+    this.lastFaceEvent = null;
+    this.strobeAt = 0;
+    this.frozenFrame = null;
     this.previousFrame = document.createElement("canvas");
+    this.post = new PostProcessor(this.previousFrame);
     this.resize(ctx.canvas.width, ctx.canvas.height);
     this.prevCtx = this.previousFrame.getContext("2d");
   }
 
+  needsSegmentation() {
+    return this.silhouette.mode !== "off" || this.post.effects.some((effect) => effect.enabled && effect.region !== "all");
+  }
+
   resize(width, height) {
     if (this.previousFrame.width !== width || this.previousFrame.height !== height) {
       this.previousFrame.width = width;
       this.previousFrame.height = height;
       this.prevCtx = this.previousFrame.getContext("2d");
     }
+    this.post.resize(width, height);
+  }
+
+  trigger(action) {
+    if (action === "nextPalette") {
+      this.paletteController.advance(1);
+    } else if (action === "previousPalette") {
+      this.paletteController.advance(-1);
+    } else if (action === "strobe") {
+      this.strobeAt = performance.now();
+    } else if (action === "freeze") {
+      this._toggleFreeze();
+    } else if (action === "toggleAirDraw") {
+      this.trails.setAirDrawing(!this.trails.airDrawing);
+    } else if (action === "clearDrawing") {
+      this.trails.clear();
+    } else if (action === "nextSilhouette") {
+      this.silhouette.cycle(1);
+    } else if (action === "toggleParticles") {
+      this.particles.setEnabled(!this.particles.enabled);
+    } else if (action === "toggleDebug") {
+      this.showDebug = !this.showDebug;
+    } else if (action === "toggleHud") {
+      this.showHud = !this.showHud;
+    } else if (action === "nextScene") {
+      this.scenes.step(1);
+    } else if (action === "previousScene") {
+      this.scenes.step(-1);
+    }
+  }
+
+  _toggleFreeze() {
+    if (this.frozenFrame) {
+      this.frozenFrame = null;
+      return;
+    }
+    const { width, height } = this.ctx.canvas;
+    this.frozenFrame = document.createElement("canvas");
+    this.frozenFrame.width = width;
+    this.frozenFrame.height = height;
+    this.frozenFrame.getContext("2d").drawImage(this.ctx.canvas, 0, 0);
   }
 
   draw(shared) {
@@ -879,10 +4557,40 @@ class Renderer {
       beatPulse: audio.beatPulse ?? 0,
       beatDetected: audio.beatDetected ?? false,
       bpm: audio.bpm ?? 0,
+      section: audio.section,
+      harmony: audio.harmony,
+      poseEvents: shared.pose?.events,
     });
     shared.palette = palette;
+    const poseEvents = shared.pose?.events ?? [];
+    if (poseEvents.length > 0) {
+      this.lastPoseEvent = poseEvents[poseEvents.length - 1];
+    }
+
+    const handEvents = shared.hands?.events ?? [];
+    if (handEvents.length > 0) {
+      this.lastHandEvent = handEvents[handEvents.length - 1];
+    }
+    const faceEvents = shared.face?.events ?? [];
+    if (faceEvents.length > 0) {
+      this.lastFaceEvent = faceEvents[faceEvents.length - 1];
+    }
+
+    if (this.frozenFrame) {
+      ctx.drawImage(this.frozenFrame, 0, 0, canvas.width, canvas.height);
+      this._drawStrobe();
+      if (this.showDebug) {
+        this.debugOverlay.render(ctx, shared);
+      }
+      this._drawHUD(shared, palette, audioIntensity);
+      return;
+    }
 
-    this.scene.render(ctx, shared);
+    this.scenes.render(ctx, shared);
+    this.particles.update(shared, ctx.canvas.width, ctx.canvas.height);
+    this.particles.render(ctx);
+    this.trails.render(ctx, shared);
+    this.silhouette.render(ctx, shared);
 
     if (CONFIG.cameraBlend && this.videoEl && this.videoEl.readyState >= 2) {
       const glowAmount = 0.18 + audioIntensity * 0.22;
@@ -890,30 +4598,62 @@ class Renderer {
       ctx.globalCompositeOperation = "screen";
       ctx.globalAlpha = glowAmount;
       ctx.filter = `blur(${18 - audioIntensity * 14}px) saturate(${1.4 + audioIntensity * 1.6})`;
-      ctx.drawImage(this.videoEl, 0, 0, canvas.width, canvas.height);
+      this.cameraSpace.drawVideo(ctx, this.videoEl);
       ctx.restore();
     }
 
+    this.post.apply(ctx, shared);
+    this._drawStrobe();
+    if (this.showDebug) {
+      this.debugOverlay.render(ctx, shared);
+    }
     this._drawHUD(shared, palette, audioIntensity);
   }
 
+  _drawStrobe() {
+    const elapsed = performance.now() - this.strobeAt;
+    if (!this.strobeAt || elapsed > CONFIG.strobeDurationMs) return;
+    if (Math.floor(elapsed / CONFIG.strobeIntervalMs) % 2 !== 0) return;
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalCompositeOperation = "screen";
+    ctx.fillStyle = `rgba(255, 255, 255, ${0.85 * (1 - elapsed / CONFIG.strobeDurationMs)})`;
+    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.restore();
+  }
+
   _drawHUD(shared, palette, audioIntensity) {
-    if (!CONFIG.hudEnabled) {
+    if (!this.showHud) {
       return;
     }
 
     const { width } = this.ctx.canvas;
     const lines = [
       `Energy: ${(audioIntensity * 100).toFixed(0)}%`,
+      `Scene: ${this.scenes.label(this.scenes.currentId)}${this.scenes.targetId !== this.scenes.currentId ? ` → ${this.scenes.label(this.scenes.targetId)}` : ""}`,
       `Palette: ${palette.name}`,
-      `BPM: ${shared.audio?.bpm || "--"}`,
-      `Smile: ${((shared.face?.smile ?? 0) * 100).toFixed(0)}%`,
-      `Hands: ${shared.hands.summary.handCount}`,
+      `BPM: ${shared.audio?.bpm ? shared.audio.bpm.toFixed(1) : "--"}${shared.audio?.tempoLocked ? " (lock)" : ""}`,
+      `Bar: ${(shared.audio?.beatInBar ?? 0) + 1}.${Math.floor((shared.audio?.beatPhase ?? 0) * 4) + 1}`,
+      `Analysis: ${shared.audio?.analysisMode ?? "--"}`,
+      `Section: ${shared.audio?.section?.name ?? "--"}`,
+      `Key: ${shared.audio?.harmony?.key?.name ?? "--"} · ${shared.audio?.harmony?.chord?.name ?? "--"}`,
+      `Gain: ${formatDb(shared.audio?.agc?.gainDb)} · Gate: ${shared.audio?.agc?.gateOpen ? "open" : "closed"}`,
+      `Hits: ${["kick", "snare", "hihat"].map((name) => ((shared.audio?.onsets?.[name]?.envelope ?? 0) > 0.5 ? name[0].toUpperCase() : "·")).join(" ")}`,
+      `Mask: ${shared.segmentation?.present ? `${Math.round(shared.segmentation.coverage * 100)}%` : "-"} (${this.silhouette.mode})`,
+      `Particles: ${this.particles.enabled ? this.particles.count : "off"}`,
+      `Motion: ${((shared.pose?.motionEnergy ?? 0) * 100).toFixed(0)}%`,
+      `Pose: ${this.lastPoseEvent ? `${this.lastPoseEvent.type} ${(this.lastPoseEvent.confidence * 100).toFixed(0)}%` : "--"}`,
+      `Smile: ${((shared.face?.smile ?? 0) * 100).toFixed(0)}% · Jaw: ${((shared.face?.mouthOpen ?? 0) * 100).toFixed(0)}%`,
+      `Eyes: ${shared.face?.eyes?.calibrated ? ["left", "right"].map((side) => (shared.face.eyes[side].closed ? "-" : "o")).join("") : "calibrating"} · ${this.lastFaceEvent?.type ?? "--"}`,
+      `Head: ${["yaw", "pitch", "roll"].map((axis) => `${(((shared.face?.headTilt?.[axis] ?? 0) * 180) / Math.PI).toFixed(0)}°`).join(" ")}`,
+      `Hands: ${shared.hands.summary.handCount}${shared.hands.hands.length ? ` (${shared.hands.hands.map((hand) => `${hand.handedness[0]}:${hand.shape}/${hand.extendedCount}`).join(" ")})` : ""}`,
+      `Hand gesture: ${this.lastHandEvent ? `${this.lastHandEvent.handedness} ${this.lastHandEvent.type}` : "--"}${this.frozenFrame ? " · frozen" : ""}`,
+      `Performers: ${shared.performers?.filter((performer) => performer.present).length ?? 0}`,
     ];
 
     this.ctx.save();
     this.ctx.fillStyle = "rgba(0, 0, 0, 0.42)";
-    this.ctx.fillRect(width - 230, 24, 206, 140);
+    this.ctx.fillRect(width - 230, 24, 206, lines.length * 20 + 24);
     this.ctx.fillStyle = "rgba(235, 240, 250, 0.88)";
     this.ctx.font = "14px 'Segoe UI', sans-serif";
     lines.forEach((line, index) => {
@@ -928,7 +4668,11 @@ function computeGestureSummary(hands, face) {
   const panY = ((hands.summary.left?.direction.y ?? 0) + (hands.summary.right?.direction.y ?? 0)) * 0.5;
   const zoom = clamp(((hands.summary.distance || 0) - 0.1) * 2, 0, 1);
   const headTilt = face?.headTilt?.roll ?? 0;
-  return { panX, panY, zoom, headTilt };
+  const headPan = {
+    x: (face?.headTilt?.yaw ?? 0) * CONFIG.headPanGain,
+    y: (face?.headTilt?.pitch ?? 0) * CONFIG.headPanGain,
+  };
+  return { panX, panY, zoom, headTilt, headPan };
 }
 
 function distance2D(a, b) {
@@ -941,6 +4685,111 @@ function midpoint(a, b) {
   return { x: (a.x + b.x) * 0.5, y: (a.y + b.y) * 0.5 };
 }
 
+function greedyMatch(tracks, detections, cost, maxCost) {
+  const pairs = [];
+  tracks.forEach((track) => {
+    detections.forEach((detection, index) => {
+      const value = cost(track, detection);
+      if (value <= maxCost) {
+        pairs.push({ track, index, value });
+      }
+    });
+  });
+  pairs.sort((a, b) => a.value - b.value);
+
+  const matches = new Map();
+  const used = new Set();
+  pairs.forEach(({ track, index }) => {
+    if (matches.has(index) || used.has(track)) return;
+    matches.set(index, track);
+    used.add(track);
+  });
+  return matches;
+}
+
+function sliceFaceResult(result, index) {
+  return {
+    faceLandmarks: [result.faceLandmarks[index]],
+    faceBlendshapes: result.faceBlendshapes?.[index] ? [result.faceBlendshapes[index]] : [],
+    facialTransformationMatrixes: result.facialTransformationMatrixes?.[index] ? [result.facialTransformationMatrixes[index]] : [],
+  };
+}
+
+function pearson(values, reference) {
+  let meanA = 0;
+  let meanB = 0;
+  for (let i = 0; i < 12; i += 1) {
+    meanA += values[i];
+    meanB += reference(i);
+  }
+  meanA /= 12;
+  meanB /= 12;
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < 12; i += 1) {
+    const a = values[i] - meanA;
+    const b = reference(i) - meanB;
+    cov += a * b;
+    varA += a * a;
+    varB += b * b;
+  }
+  const denom = Math.sqrt(varA * varB);
+  return denom > 1e-12 ? cov / denom : 0;
+}
+
+function pitchClassHue(pitchClass) {
+  return ((pitchClass * 7) % 12) * 30;
+}
+
+function lerpHue(a, b, t) {
+  const delta = ((((b - a) % 360) + 540) % 360) - 180;
+  return (a + delta * t + 360) % 360;
+}
+
+function slopePerSecond(samples, key) {
+  const count = samples.length;
+  if (count < 2) return 0;
+  const t0 = samples[0].time;
+  let sumT = 0;
+  let sumV = 0;
+  let sumTT = 0;
+  let sumTV = 0;
+  samples.forEach((sample) => {
+    const t = (sample.time - t0) / 1000;
+    const v = sample[key];
+    sumT += t;
+    sumV += v;
+    sumTT += t * t;
+    sumTV += t * v;
+  });
+  const denom = count * sumTT - sumT * sumT;
+  return denom > 1e-9 ? (count * sumTV - sumT * sumV) / denom : 0;
+}
+
+function formatDb(value) {
+  if (!Number.isFinite(value)) return "--";
+  return `${value >= 0 ? "+" : ""}${value.toFixed(1)} dB`;
+}
+
+function hzToMel(hz) {
+  return 2595 * Math.log10(1 + hz / 700);
+}
+
+function melToHz(mel) {
+  return 700 * (Math.pow(10, mel / 2595) - 1);
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const h = (((hue % 360) + 360) % 360) / 60;
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const x = chroma * (1 - Math.abs((h % 2) - 1));
+  const [r, g, b] =
+    h < 1 ? [chroma, x, 0] : h < 2 ? [x, chroma, 0] : h < 3 ? [0, chroma, x] : h < 4 ? [0, x, chroma] : h < 5 ? [x, 0, chroma] : [chroma, 0, x];
+  const m = lightness - chroma / 2;
+  return [r + m, g + m, b + m];
+}
+
 function lerp(a, b, t) {
   return a + (b - a) * t;
 }
@@ -950,10 +4799,12 @@ function clamp(value, min, max) {
 }
 
 const audioAnalyser = new AudioAnalyser();
-const poseTracker = new PoseTracker();
+const performerTracker = new PerformerTracker();
 const handTracker = new HandGestureTracker();
-const faceTracker = new FaceExpressionTracker();
-renderer = new Renderer(ctx, videoEl);
+const idleFace = FaceExpressionTracker.emptyState();
+const cameraSpace = new CameraSpace();
+const segmentationTracker = new SegmentationTracker();
+renderer = new Renderer(ctx, videoEl, cameraSpace);
 const handleResize = () => {
   updateViewportHeight();
   resizeCanvas();
@@ -989,6 +4840,10 @@ const MODEL_CANDIDATES = {
     "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/latest/face_landmarker.task",
     "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task",
   ],
+  segmentation: [
+    "https://storage.googleapis.com/mediapipe-models/image_segmenter/selfie_segmenter/float16/latest/selfie_segmenter.tflite",
+    "https://storage.googleapis.com/mediapipe-models/image_segmenter/selfie_segmenter/float16/1/selfie_segmenter.tflite",
+  ],
 };
 
 const modelBuffers = {};
@@ -997,9 +4852,29 @@ let filesetResolver = null;
 let poseLandmarker = null;
 let handLandmarker = null;
 let faceLandmarker = null;
+let imageSegmenter = null;
 let animationId = null;
 let running = false;
 
+const STORAGE_KEYS = {
+  audioDevice: "webReactiveVJ.audioDevice",
+  videoDevice: "webReactiveVJ.videoDevice",
+  mirrorCamera: "webReactiveVJ.mirrorCamera",
+};
+
+const audioInput = {
+  source: "input",
+  deviceId: loadPreference(STORAGE_KEYS.audioDevice),
+  stream: null,
+  objectUrl: null,
+  monitorBySource: {},
+};
+
+const videoInput = {
+  deviceId: loadPreference(STORAGE_KEYS.videoDevice),
+  stream: null,
+};
+
 async function fetchModelBuffer(key) {
   if (modelBuffers[key]) return modelBuffers[key];
   const urls = MODEL_CANDIDATES[key] || [];
@@ -1033,7 +4908,7 @@ async function initTasks() {
       poseLandmarker = await PoseLandmarker.createFromOptions(filesetResolver, {
         baseOptions: { modelAssetBuffer: poseModel },
         runningMode: "VIDEO",
-        numPoses: 1,
+        numPoses: CONFIG.maxPerformers,
         minPoseDetectionConfidence: 0.5,
         minPosePresenceConfidence: 0.5,
         minTrackingConfidence: 0.5,
@@ -1045,7 +4920,7 @@ async function initTasks() {
       handLandmarker = await HandLandmarker.createFromOptions(filesetResolver, {
         baseOptions: { modelAssetBuffer: handModel },
         runningMode: "VIDEO",
-        numHands: 2,
+        numHands: CONFIG.maxPerformers * 2,
         minHandDetectionConfidence: 0.3,
         minHandPresenceConfidence: 0.3,
         minTrackingConfidence: 0.3,
@@ -1057,14 +4932,29 @@ async function initTasks() {
       faceLandmarker = await FaceLandmarker.createFromOptions(filesetResolver, {
         baseOptions: { modelAssetBuffer: faceModel },
         runningMode: "VIDEO",
-        outputFaceBlendshapes: false,
-        numFaces: 1,
+        outputFaceBlendshapes: true,
+        outputFacialTransformationMatrixes: true,
+        numFaces: CONFIG.maxPerformers,
       });
     }
   } catch (error) {
     console.error(error);
     throw new Error(`MediaPipe model load failed: ${error.message ?? error}`);
   }
+
+  if (CONFIG.segmentationEnabled && !imageSegmenter) {
+    try {
+      const segmentationModel = await fetchModelBuffer("segmentation");
+      imageSegmenter = await ImageSegmenter.createFromOptions(filesetResolver, {
+        baseOptions: { modelAssetBuffer: segmentationModel },
+        runningMode: "VIDEO",
+        outputConfidenceMasks: true,
+        outputCategoryMask: false,
+      });
+    } catch (error) {
+      console.warn("Segmentation unavailable, silhouette effects disabled:", error);
+    }
+  }
 }
 
 async function startExperience() {
@@ -1074,19 +4964,19 @@ async function startExperience() {
   try {
     updateViewportHeight();
     resizeCanvas();
-    const stream = await navigator.mediaDevices.getUserMedia({
-      audio: true,
-      video: {
-        width: { ideal: 1280 },
-        height: { ideal: 720 },
-        facingMode: "user",
-      },
+    await attachCamera(videoInput.deviceId).catch(async (error) => {
+      if (!videoInput.deviceId) throw error;
+      console.warn("Saved camera unavailable, using default:", error);
+      videoInput.deviceId = "";
+      await attachCamera("");
     });
-
-    await audioAnalyser.init(stream);
-
-    videoEl.srcObject = stream;
-    await videoEl.play();
+    await applyAudioSource().catch(async (error) => {
+      if (audioInput.source !== "input" || !audioInput.deviceId) throw error;
+      console.warn("Saved audio input unavailable, using default:", error);
+      audioInput.deviceId = "";
+      await applyAudioSource();
+    });
+    await populateInputDevices();
 
     statusText.textContent = "MediaPipe モデルをロード中...";
     try {
@@ -1098,6 +4988,7 @@ async function startExperience() {
       return;
     }
 
+    watchVideoFrames();
     running = true;
     statusText.textContent = "Running";
     startBtn.textContent = "Running";
@@ -1113,31 +5004,334 @@ async function startExperience() {
   }
 }
 
-function loop() {
+function loadPreference(key) {
+  try {
+    return window.localStorage.getItem(key) ?? "";
+  } catch (error) {
+    return "";
+  }
+}
+
+function savePreference(key, value) {
+  try {
+    window.localStorage.setItem(key, value);
+  } catch (error) {
+    console.warn(`Could not persist ${key}:`, error);
+  }
+}
+
+async function openCameraStream(deviceId) {
+  return navigator.mediaDevices.getUserMedia({
+    audio: false,
+    video: {
+      width: { ideal: 1280 },
+      height: { ideal: 720 },
+      ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: "user" }),
+    },
+  });
+}
+
+async function attachCamera(deviceId) {
+  const stream = await openCameraStream(deviceId);
+  const previous = videoInput.stream;
+  videoInput.stream = stream;
+  stream.getVideoTracks().forEach((track) => {
+    track.addEventListener("ended", () => handleInputLost("video", stream));
+  });
+  videoEl.srcObject = stream;
+  await videoEl.play();
+  if (previous) {
+    previous.getTracks().forEach((track) => track.stop());
+  }
+}
+
+function releaseCameraStream() {
+  if (videoInput.stream) {
+    videoInput.stream.getTracks().forEach((track) => track.stop());
+    videoInput.stream = null;
+  }
+}
+
+async function openAudioInputStream(deviceId) {
+  return navigator.mediaDevices.getUserMedia({
+    audio: deviceId
+      ? {
+          deviceId: { exact: deviceId },
+          echoCancellation: false,
+          noiseSuppression: false,
+          autoGainControl: false,
+        }
+      : true,
+    video: false,
+  });
+}
+
+function releaseAudioInputStream() {
+  if (audioInput.stream) {
+    audioInput.stream.getTracks().forEach((track) => track.stop());
+    audioInput.stream = null;
+  }
+}
+
+async function applyAudioSource() {
+  const monitor = audioMonitorToggle.checked;
+  if (audioInput.source === "input") {
+    audioPlayer.pause();
+    const stream = await openAudioInputStream(audioInput.deviceId);
+    stream.getAudioTracks().forEach((track) => {
+      track.addEventListener("ended", () => handleInputLost("audio", stream));
+    });
+    await audioAnalyser.connectStream(stream, { monitor });
+    releaseAudioInputStream();
+    audioInput.stream = stream;
+    return;
+  }
+
+  releaseAudioInputStream();
+  await audioAnalyser.connectMediaElement(audioPlayer, { monitor });
+  if (audioPlayer.src) {
+    await audioPlayer.play().catch((error) => console.warn("Audio playback blocked:", error));
+  }
+}
+
+async function populateInputDevices() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  fillDeviceSelect(audioDeviceSelect, devices, "audioinput", "Input", audioInput.deviceId);
+  fillDeviceSelect(videoDeviceSelect, devices, "videoinput", "Camera", videoInput.deviceId);
+  return devices;
+}
+
+function fillDeviceSelect(select, devices, kind, fallbackLabel, selectedId) {
+  const inputs = devices.filter((device) => device.kind === kind);
+  select.replaceChildren(new Option("Default", ""));
+  inputs.forEach((device, index) => {
+    if (!device.deviceId || device.deviceId === "default") return;
+    select.append(new Option(device.label || `${fallbackLabel} ${index + 1}`, device.deviceId));
+  });
+  select.value = inputs.some((device) => device.deviceId === selectedId) ? selectedId : "";
+}
+
+async function selectAudioDevice(deviceId, { persist = true } = {}) {
+  audioInput.deviceId = deviceId;
+  audioDeviceSelect.value = deviceId;
+  if (persist) {
+    savePreference(STORAGE_KEYS.audioDevice, deviceId);
+  }
+  if (audioInput.source === "input") {
+    await selectAudioSource("input");
+  }
+}
+
+async function selectVideoDevice(deviceId, { persist = true } = {}) {
+  videoInput.deviceId = deviceId;
+  videoDeviceSelect.value = deviceId;
+  if (persist) {
+    savePreference(STORAGE_KEYS.videoDevice, deviceId);
+  }
   if (!running) return;
+  try {
+    await attachCamera(deviceId);
+    statusText.textContent = "Running";
+  } catch (error) {
+    console.error(error);
+    statusText.textContent = `Camera Error: ${error.message ?? error}`;
+  }
+}
 
-  const audioState = audioAnalyser.update();
-  const frameTime = performance.now();
+const inputSwitches = { audio: null, video: null };
+
+function switchInput(kind, task) {
+  if (!inputSwitches[kind]) {
+    inputSwitches[kind] = task().finally(() => {
+      inputSwitches[kind] = null;
+    });
+  }
+  return inputSwitches[kind];
+}
+
+async function handleInputLost(kind, stream) {
+  if (!running) return;
+  if (kind === "audio" && stream === audioInput.stream && audioInput.source === "input") {
+    await switchInput("audio", () => {
+      statusText.textContent = "オーディオ入力が切断されました。デフォルトに切り替えます...";
+      return selectAudioDevice("", { persist: false });
+    });
+  } else if (kind === "video" && stream === videoInput.stream) {
+    await switchInput("video", () => {
+      statusText.textContent = "カメラが切断されました。デフォルトに切り替えます...";
+      return selectVideoDevice("", { persist: false });
+    });
+  }
+}
+
+async function handleDeviceChange() {
+  const devices = await populateInputDevices();
+  if (!running) return;
+  const available = (kind, deviceId) =>
+    !deviceId || devices.some((device) => device.kind === kind && device.deviceId === deviceId);
+
+  const audioTrack = audioInput.stream?.getAudioTracks()[0];
+  if (audioInput.source === "input" && (!available("audioinput", audioInput.deviceId) || audioTrack?.readyState === "ended")) {
+    await handleInputLost("audio", audioInput.stream);
+  }
+
+  const videoTrack = videoInput.stream?.getVideoTracks()[0];
+  if (!available("videoinput", videoInput.deviceId) || videoTrack?.readyState === "ended") {
+    await handleInputLost("video", videoInput.stream);
+  }
+
+  const preferredAudio = loadPreference(STORAGE_KEYS.audioDevice);
+  if (preferredAudio && preferredAudio !== audioInput.deviceId && available("audioinput", preferredAudio)) {
+    await switchInput("audio", () => selectAudioDevice(preferredAudio, { persist: false }));
+  }
+  const preferredVideo = loadPreference(STORAGE_KEYS.videoDevice);
+  if (preferredVideo && preferredVideo !== videoInput.deviceId && available("videoinput", preferredVideo)) {
+    await switchInput("video", () => selectVideoDevice(preferredVideo, { persist: false }));
+  }
+}
 
-  let poseState = { motionEnergy: 0, centroid: null };
-  if (poseLandmarker && videoEl.readyState >= 2) {
-    const poseResult = poseLandmarker.detectForVideo(videoEl, frameTime);
-    poseState = poseTracker.update(poseResult);
+function updateAudioSourceFields() {
+  const source = audioInput.source;
+  audioDeviceField.hidden = source !== "input";
+  audioFileField.hidden = source !== "file";
+  audioUrlField.hidden = source !== "url";
+  audioPlayer.hidden = source === "input";
+}
+
+async function selectAudioSource(source) {
+  audioInput.source = source;
+  audioSourceSelect.value = source;
+  audioMonitorToggle.checked = audioInput.monitorBySource[source] ?? source !== "input";
+  updateAudioSourceFields();
+  if (!running) return;
+  try {
+    await applyAudioSource();
+    statusText.textContent = "Running";
+  } catch (error) {
+    console.error(error);
+    statusText.textContent = `Audio Error: ${error.message ?? error}`;
+  }
+}
+
+function loadAudioFile(file) {
+  if (!file || !file.type.startsWith("audio/")) {
+    statusText.textContent = "オーディオファイルを選択してください。";
+    return;
+  }
+  if (audioInput.objectUrl) {
+    URL.revokeObjectURL(audioInput.objectUrl);
+  }
+  audioInput.objectUrl = URL.createObjectURL(file);
+  audioPlayer.removeAttribute("crossorigin");
+  audioPlayer.src = audioInput.objectUrl;
+  audioPlayer.loop = true;
+  statusText.textContent = `Loaded: ${file.name}`;
+  selectAudioSource("file");
+}
+
+function loadAudioUrl(url) {
+  if (!url) return;
+  audioPlayer.crossOrigin = "anonymous";
+  audioPlayer.src = url;
+  audioPlayer.loop = false;
+  selectAudioSource("url");
+}
+
+const videoFrameClock = { time: 0, mediaTime: -1, pending: false, watching: false };
+let tracking = null;
+
+function stampFrame(time) {
+  videoFrameClock.time = Math.max(videoFrameClock.time + 1, time);
+  return videoFrameClock.time;
+}
+
+function watchVideoFrames() {
+  if (videoFrameClock.watching || !videoEl.requestVideoFrameCallback) return;
+  videoFrameClock.watching = true;
+  const onFrame = (now, metadata) => {
+    stampFrame(metadata.captureTime ?? metadata.expectedDisplayTime ?? now);
+    videoFrameClock.pending = true;
+    videoEl.requestVideoFrameCallback(onFrame);
+  };
+  videoEl.requestVideoFrameCallback(onFrame);
+}
+
+function takeVideoFrame() {
+  if (videoFrameClock.watching) {
+    if (!videoFrameClock.pending) return null;
+    videoFrameClock.pending = false;
+    return videoFrameClock.time;
   }
+  if (videoEl.currentTime === videoFrameClock.mediaTime) return null;
+  videoFrameClock.mediaTime = videoEl.currentTime;
+  return stampFrame(performance.now());
+}
+
+function trackFrame(videoReady, frameTime) {
+  const poseResult = poseLandmarker && videoReady ? cameraSpace.poseResult(poseLandmarker.detectForVideo(videoEl, frameTime)) : null;
 
-  let handState = { hands: [], paths: handTracker.paths, summary: handTracker._buildSummary([]) };
-  if (handLandmarker && videoEl.readyState >= 2) {
-    const handResult = handLandmarker.detectForVideo(videoEl, frameTime);
-    handState = handTracker.update(handResult);
+  let handState = handTracker.emptyState();
+  if (handLandmarker && videoReady) {
+    const handResult = cameraSpace.handResult(handLandmarker.detectForVideo(videoEl, frameTime));
+    handState = handTracker.update(handResult, frameTime);
   }
 
-  let faceState = faceTracker._empty();
-  if (faceLandmarker && videoEl.readyState >= 2) {
-    const faceResult = faceLandmarker.detectForVideo(videoEl, frameTime);
-    faceState = faceTracker.update(faceResult);
+  const faceResult = faceLandmarker && videoReady ? cameraSpace.faceResult(faceLandmarker.detectForVideo(videoEl, frameTime)) : null;
+  let segmentationState = null;
+  if (imageSegmenter && videoReady && renderer.needsSegmentation()) {
+    imageSegmenter.segmentForVideo(videoEl, frameTime, (result) => {
+      segmentationState = segmentationTracker.update(result.confidenceMasks, cameraSpace, canvas.width, canvas.height, frameTime);
+    });
+  }
+  if (!segmentationState) {
+    segmentationState = segmentationTracker.update(null, cameraSpace, canvas.width, canvas.height, frameTime);
   }
 
-  const gestures = computeGestureSummary(handState, faceState);
+  const performerState = performerTracker.update({ poseResult, faceResult, hands: handState.hands }, frameTime);
+  return { handState, performerState, segmentationState };
+}
+
+function holdTracking({ handState, performerState, segmentationState }) {
+  const primary = performerState.primary;
+  return {
+    handState: { ...handState, events: [] },
+    performerState: {
+      ...performerState,
+      primary: primary?.face ? { ...primary, face: { ...primary.face, events: [], blinkTriggered: false } } : primary,
+      poseEvents: [],
+      faceEvents: [],
+    },
+    segmentationState,
+  };
+}
+
+function loop() {
+  if (!running) return;
+
+  const audioState = audioAnalyser.update();
+
+  const videoReady = videoEl.readyState >= 2;
+  cameraSpace.update(videoEl.videoWidth, videoEl.videoHeight, canvas.width, canvas.height);
+  const frameTime = videoReady ? takeVideoFrame() : stampFrame(performance.now());
+  if (!tracking || frameTime !== null) {
+    tracking = trackFrame(videoReady, frameTime ?? stampFrame(performance.now()));
+  } else {
+    tracking = holdTracking(tracking);
+  }
+  const { handState, performerState, segmentationState } = tracking;
+  const primary = performerState.primary;
+
+  const poseState = {
+    motionEnergy: 0,
+    limbEnergy: { arms: 0, legs: 0, torso: 0 },
+    centroid: null,
+    ...primary?.pose,
+    events: performerState.poseEvents,
+  };
+  const faceState = primary?.face ?? idleFace;
+  const primaryHands = primary?.hands.length ? { summary: handTracker.summarize(primary.hands) } : handState;
+  const gestures = computeGestureSummary(primaryHands, faceState);
 
   const shared = {
     audio: audioState,
@@ -1145,12 +5339,105 @@ function loop() {
     hands: handState,
     face: faceState,
     gestures,
+    performers: performerState.performers,
+    segmentation: segmentationState,
   };
 
+  [...handState.events, ...performerState.faceEvents].forEach((event) => {
+    const action = GESTURE_BINDINGS[event.type];
+    // A tight pinch can read as a fist, so don't let the drawing hand wipe its own stroke.
+    if (action === "clearDrawing" && renderer.trails.isDrawing(event.handId, performance.now())) return;
+    if (action) renderer.trigger(action);
+  });
+
   renderer.draw(shared);
+  syncTempoControls(audioState);
+  if (airDrawToggle.checked !== renderer.trails.airDrawing) {
+    airDrawToggle.checked = renderer.trails.airDrawing;
+  }
+  if (debugOverlayToggle.checked !== renderer.showDebug) {
+    debugOverlayToggle.checked = renderer.showDebug;
+  }
+  if (hudToggle.checked !== renderer.showHud) {
+    hudToggle.checked = renderer.showHud;
+  }
+  syncSceneControls();
   animationId = requestAnimationFrame(loop);
 }
 
+function syncTempoControls(audioState) {
+  if (document.activeElement !== bpmInput) {
+    const value = audioState.bpm > 0 ? audioState.bpm.toFixed(1) : "";
+    if (bpmInput.value !== value) {
+      bpmInput.value = value;
+    }
+  }
+  if (tempoLockToggle.checked !== audioState.tempoLocked) {
+    tempoLockToggle.checked = audioState.tempoLocked;
+  }
+}
+
+const TEMPO_ACTIONS = {
+  tap: () => audioAnalyser.tempo.tap(performance.now()),
+  halve: () => audioAnalyser.tempo.scaleTempo(0.5),
+  double: () => audioAnalyser.tempo.scaleTempo(2),
+  nudgeBack: () => audioAnalyser.tempo.nudge(-CONFIG.tempoNudgeBeats),
+  nudgeForward: () => audioAnalyser.tempo.nudge(CONFIG.tempoNudgeBeats),
+  toggleLock: () => audioAnalyser.tempo.setLocked(!audioAnalyser.tempo.locked),
+};
+
+const KEY_BINDINGS = {
+  t: "tap",
+  h: "halve",
+  d: "double",
+  "[": "nudgeBack",
+  "]": "nudgeForward",
+  l: "toggleLock",
+  a: "toggleAirDraw",
+  c: "clearDrawing",
+  o: "toggleDebug",
+  i: "toggleHud",
+  p: "toggleParticles",
+  m: "nextSilhouette",
+  n: "nextScene",
+  b: "previousScene",
+};
+
+const GESTURE_BINDINGS = {
+  swipeLeft: "previousScene",
+  swipeRight: "nextScene",
+  push: "strobe",
+  rock: "strobe",
+  peace: "freeze",
+  fist: "clearDrawing",
+  winkLeft: "previousPalette",
+  winkRight: "nextPalette",
+  eyesClosed: "freeze",
+};
+
+function handleKeyDown(event) {
+  if (event.metaKey || event.ctrlKey || event.altKey || event.repeat) return;
+  const target = event.target;
+  if (target instanceof HTMLElement) {
+    const typing = ["SELECT", "TEXTAREA"].includes(target.tagName) || (target.tagName === "INPUT" && target.type !== "checkbox");
+    if (typing || target.isContentEditable) return;
+  }
+  const sceneIndex = Number.parseInt(event.key, 10) - 1;
+  if (sceneIndex >= 0 && sceneIndex < SCENE_REGISTRY.length) {
+    event.preventDefault();
+    renderer.scenes.request(SCENE_REGISTRY[sceneIndex].id);
+    return;
+  }
+  const action = KEY_BINDINGS[event.key.toLowerCase()];
+  if (!action) return;
+  event.preventDefault();
+  if (TEMPO_ACTIONS[action]) {
+    TEMPO_ACTIONS[action]();
+  } else {
+    renderer.trigger(action);
+  }
+}
+
 function stopExperience() {
   running = false;
   if (animationId) {
@@ -1172,11 +5459,240 @@ showVideoToggle.addEventListener("change", (event) => {
   }
 });
 
+airDrawToggle.addEventListener("change", (event) => {
+  renderer.trails.setAirDrawing(event.target.checked);
+});
+
+function populateSceneControls() {
+  sceneSelect.replaceChildren(
+    ...SCENE_REGISTRY.map(({ id, label }, index) => new Option(`${index + 1}. ${label}`, id)),
+  );
+  transitionSelect.replaceChildren(...SCENE_TRANSITIONS.map((type) => new Option(type, type)));
+  transitionSelect.value = renderer.scenes.transitionType;
+  quantizeSelect.value = renderer.scenes.quantize;
+  silhouetteSelect.replaceChildren(...SILHOUETTE_MODES.map(({ id, label }) => new Option(label, id)));
+  silhouetteSelect.value = renderer.silhouette.mode;
+  syncSceneControls();
+}
+
+let paramsSceneId = null;
+
+function syncSceneControls() {
+  const scenes = renderer.scenes;
+  if (document.activeElement !== sceneSelect && sceneSelect.value !== scenes.targetId) {
+    sceneSelect.value = scenes.targetId;
+  }
+  if (silhouetteSelect.value !== renderer.silhouette.mode) {
+    silhouetteSelect.value = renderer.silhouette.mode;
+  }
+  if (paramsSceneId === scenes.currentId) return;
+  paramsSceneId = scenes.currentId;
+  const { parameters = {} } = scenes.current;
+  sceneParamsEl.replaceChildren(
+    ...Object.values(parameters).map((parameter) => {
+      const field = document.createElement("label");
+      field.className = "field";
+      const name = document.createElement("span");
+      name.textContent = parameter.label;
+      const input = document.createElement("input");
+      input.type = "range";
+      input.min = String(parameter.min);
+      input.max = String(parameter.max);
+      input.step = String(parameter.step);
+      input.value = String(parameter.value);
+      input.addEventListener("input", () => {
+        parameter.value = Number(input.value);
+      });
+      field.append(name, input);
+      return field;
+    }),
+  );
+}
+
+function populateEffectControls() {
+  const effects = renderer.post.effects;
+  fxStackEl.replaceChildren(
+    ...effects.map((effect, index) => {
+      const row = document.createElement("div");
+      row.className = "fx-effect";
+
+      const toggle = document.createElement("label");
+      toggle.className = "toggle";
+      const enabled = document.createElement("input");
+      enabled.type = "checkbox";
+      enabled.checked = effect.enabled;
+      enabled.addEventListener("change", () => {
+        effect.enabled = enabled.checked;
+      });
+      const name = document.createElement("span");
+      name.textContent = effect.label;
+      toggle.append(enabled, name);
+
+      const intensity = document.createElement("input");
+      intensity.type = "range";
+      intensity.min = "0";
+      intensity.max = "1";
+      intensity.step = "0.01";
+      intensity.value = String(effect.intensity);
+      intensity.title = "Intensity";
+      intensity.addEventListener("input", () => {
+        effect.intensity = Number(intensity.value);
+      });
+
+      const source = document.createElement("select");
+      source.title = "Audio modulation";
+      source.replaceChildren(...Object.keys(MODULATION_SOURCES).map((key) => new Option(key, key)));
+      source.value = effect.source;
+      source.addEventListener("change", () => {
+        effect.source = source.value;
+        if (effect.depth === 0 && effect.source !== "none") {
+          effect.depth = 0.5;
+        }
+      });
+
+      const up = document.createElement("button");
+      up.textContent = "▲";
+      up.title = "Move earlier";
+      up.disabled = index === 0;
+      const down = document.createElement("button");
+      down.textContent = "▼";
+      down.title = "Move later";
+      down.disabled = index === effects.length - 1;
+      up.addEventListener("click", () => {
+        renderer.post.move(effect.id, -1);
+        populateEffectControls();
+      });
+      down.addEventListener("click", () => {
+        renderer.post.move(effect.id, 1);
+        populateEffectControls();
+      });
+
+      const region = document.createElement("select");
+      region.title = "Apply inside / outside the performer";
+      region.replaceChildren(...EFFECT_REGIONS.map((key) => new Option(key, key)));
+      region.value = effect.region;
+      region.addEventListener("change", () => {
+        effect.region = region.value;
+      });
+
+      row.append(toggle, intensity, source, region, up, down);
+      return row;
+    }),
+  );
+}
+
+sceneSelect.addEventListener("change", (event) => {
+  renderer.scenes.request(event.target.value);
+});
+
+transitionSelect.addEventListener("change", (event) => {
+  renderer.scenes.transitionType = event.target.value;
+});
+
+quantizeSelect.addEventListener("change", (event) => {
+  renderer.scenes.quantize = event.target.value;
+});
+
+silhouetteSelect.addEventListener("change", (event) => {
+  renderer.silhouette.setMode(event.target.value);
+});
+
+function applyMirrorSetting(enabled, { persist = true } = {}) {
+  cameraSpace.setMirror(enabled);
+  videoEl.classList.toggle("mirrored", enabled);
+  mirrorCameraToggle.checked = enabled;
+  if (persist) {
+    savePreference(STORAGE_KEYS.mirrorCamera, String(enabled));
+  }
+}
+
+mirrorCameraToggle.addEventListener("change", (event) => {
+  applyMirrorSetting(event.target.checked);
+});
+
+debugOverlayToggle.addEventListener("change", (event) => {
+  renderer.showDebug = event.target.checked;
+});
+
+hudToggle.addEventListener("change", (event) => {
+  renderer.showHud = event.target.checked;
+});
+
+audioSourceSelect.addEventListener("change", (event) => {
+  selectAudioSource(event.target.value);
+});
+
+audioDeviceSelect.addEventListener("change", (event) => {
+  selectAudioDevice(event.target.value);
+});
+
+videoDeviceSelect.addEventListener("change", (event) => {
+  selectVideoDevice(event.target.value);
+});
+
+if (navigator.mediaDevices?.addEventListener) {
+  navigator.mediaDevices.addEventListener("devicechange", () => {
+    handleDeviceChange().catch((error) => console.warn("Device refresh failed:", error));
+  });
+}
+
+audioFileInput.addEventListener("change", (event) => {
+  loadAudioFile(event.target.files?.[0]);
+});
+
+audioUrlInput.addEventListener("change", (event) => {
+  loadAudioUrl(event.target.value.trim());
+});
+
+audioMonitorToggle.addEventListener("change", (event) => {
+  audioInput.monitorBySource[audioInput.source] = event.target.checked;
+  audioAnalyser.setMonitor(event.target.checked);
+});
+
+tapBtn.addEventListener("click", TEMPO_ACTIONS.tap);
+halveBtn.addEventListener("click", TEMPO_ACTIONS.halve);
+doubleBtn.addEventListener("click", TEMPO_ACTIONS.double);
+nudgeBackBtn.addEventListener("click", TEMPO_ACTIONS.nudgeBack);
+nudgeForwardBtn.addEventListener("click", TEMPO_ACTIONS.nudgeForward);
+
+bpmInput.addEventListener("change", (event) => {
+  audioAnalyser.tempo.setBpm(parseFloat(event.target.value));
+  bpmInput.blur();
+});
+
+tempoLockToggle.addEventListener("change", (event) => {
+  audioAnalyser.tempo.setLocked(event.target.checked);
+});
+
+window.addEventListener("keydown", handleKeyDown);
+
+appEl.addEventListener("dragover", (event) => {
+  if (!event.dataTransfer?.types.includes("Files")) return;
+  event.preventDefault();
+  appEl.classList.add("drop-target");
+});
+
+appEl.addEventListener("dragleave", (event) => {
+  if (event.relatedTarget && appEl.contains(event.relatedTarget)) return;
+  appEl.classList.remove("drop-target");
+});
+
+appEl.addEventListener("drop", (event) => {
+  event.preventDefault();
+  appEl.classList.remove("drop-target");
+  loadAudioFile(event.dataTransfer?.files?.[0]);
+});
+
 window.addEventListener("beforeunload", () => {
   stopExperience();
-  if (videoEl.srcObject) {
-    videoEl.srcObject.getTracks().forEach((track) => track.stop());
-  }
+  releaseCameraStream();
+  releaseAudioInputStream();
 });
 
+const savedMirror = loadPreference(STORAGE_KEYS.mirrorCamera);
+applyMirrorSetting(savedMirror ? savedMirror === "true" : CONFIG.mirrorCamera, { persist: false });
+populateSceneControls();
+populateEffectControls();
+populateInputDevices().catch(() => {});
+
 statusText.textContent = "Ready. Click Start to begin.";
@@ -0,0 +1,252 @@
+class FeatureExtractorProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const config = options.processorOptions;
+    this.fftSize = config.fftSize;
+    this.hopSize = config.hopSize;
+    this.smoothing = config.smoothing;
+    this.minDecibels = config.minDecibels;
+    this.maxDecibels = config.maxDecibels;
+    this.fluxExponent = config.fluxExponent;
+    this.fluxSensitivity = config.fluxSensitivity;
+    this.fluxDeltaFloor = config.fluxDeltaFloor;
+    this.framesPerMessage = config.framesPerMessage;
+
+    const hopMs = (this.hopSize / sampleRate) * 1000;
+    this.fluxWindow = Math.max(2, Math.round(config.fluxWindowMs / hopMs));
+    this.fluxMinWindow = Math.max(2, Math.round(config.fluxMinWindowMs / hopMs));
+
+    this.input = new Float32Array(this.fftSize);
+    this.writeIndex = 0;
+    this.sinceHop = 0;
+    this.hopSquares = 0;
+
+    this.window = new Float32Array(this.fftSize);
+    for (let i = 0; i < this.fftSize; i += 1) {
+      const x = (2 * Math.PI * i) / this.fftSize;
+      this.window[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+    }
+    this.real = new Float32Array(this.fftSize);
+    this.imag = new Float32Array(this.fftSize);
+    this.bitReverse = buildBitReverse(this.fftSize);
+    this.cosTable = new Float32Array(this.fftSize / 2);
+    this.sinTable = new Float32Array(this.fftSize / 2);
+    for (let i = 0; i < this.fftSize / 2; i += 1) {
+      this.cosTable[i] = Math.cos((2 * Math.PI * i) / this.fftSize);
+      this.sinTable[i] = Math.sin((2 * Math.PI * i) / this.fftSize);
+    }
+
+    const binCount = this.fftSize / 2;
+    const binHz = sampleRate / this.fftSize;
+    this.magnitudes = new Float32Array(binCount);
+    this.spectrum = new Float32Array(binCount);
+    this.prevSpectrum = new Float32Array(binCount);
+    this.binFlux = new Float32Array(binCount);
+    this.primed = false;
+
+    this.bands = config.bands.map(({ minHz, maxHz }) => binRange(minHz, maxHz, binHz, binCount));
+    this.instruments = config.instruments.map(({ ranges, sensitivity, floor, cooldownMs }) => ({
+      ranges: ranges.map(([minHz, maxHz]) => binRange(minHz, maxHz, binHz, binCount)),
+      sensitivity,
+      floor,
+      cooldown: cooldownMs / 1000,
+      detector: new OnsetPicker(this.fluxWindow, this.fluxMinWindow),
+      lastOnset: -Infinity,
+    }));
+    this.globalDetector = new OnsetPicker(this.fluxWindow, this.fluxMinWindow);
+
+    this.stride = 5 + this.bands.length + this.instruments.length * 2;
+    this.batch = new Float64Array(this.stride * this.framesPerMessage);
+    this.batchCount = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0) {
+      return true;
+    }
+
+    const channels = input.length;
+    const length = input[0].length;
+    for (let i = 0; i < length; i += 1) {
+      let sample = 0;
+      for (let c = 0; c < channels; c += 1) {
+        sample += input[c][i];
+      }
+      sample /= channels;
+      this.input[this.writeIndex] = sample;
+      this.writeIndex = (this.writeIndex + 1) % this.fftSize;
+      this.hopSquares += sample * sample;
+      this.sinceHop += 1;
+      if (this.sinceHop >= this.hopSize) {
+        this._analyse(currentTime + (i + 1) / sampleRate);
+        this.sinceHop = 0;
+        this.hopSquares = 0;
+      }
+    }
+    return true;
+  }
+
+  _analyse(time) {
+    const rms = Math.sqrt(this.hopSquares / this.hopSize);
+    this._computeSpectrum();
+
+    let flux = 0;
+    for (let i = 0; i < this.spectrum.length; i += 1) {
+      const magnitude = Math.pow(this.spectrum[i], this.fluxExponent);
+      const diff = magnitude - this.prevSpectrum[i];
+      this.binFlux[i] = diff > 0 && this.primed ? diff : 0;
+      flux += this.binFlux[i];
+      this.prevSpectrum[i] = magnitude;
+    }
+    flux /= this.spectrum.length;
+
+    const global = this.globalDetector.push(flux, this.fluxSensitivity);
+    const fluxDelta = global.threshold === Infinity ? 0 : flux - global.threshold;
+    const fluxOnset = this.primed && fluxDelta > this.fluxDeltaFloor && global.rising;
+
+    const offset = this.batchCount * this.stride;
+    const frame = this.batch;
+    frame[offset] = time;
+    frame[offset + 1] = rms;
+    frame[offset + 2] = flux;
+    frame[offset + 3] = fluxDelta;
+    frame[offset + 4] = fluxOnset ? 1 : 0;
+
+    let cursor = offset + 5;
+    this.bands.forEach(([start, end]) => {
+      let sum = 0;
+      for (let i = start; i < end; i += 1) {
+        sum += this.spectrum[i];
+      }
+      frame[cursor] = sum / Math.max(end - start, 1);
+      cursor += 1;
+    });
+
+    this.instruments.forEach((instrument, index) => {
+      let sum = 0;
+      let count = 0;
+      instrument.ranges.forEach(([start, end]) => {
+        for (let i = start; i < end; i += 1) {
+          sum += this.binFlux[i];
+          count += 1;
+        }
+      });
+      const bandFlux = sum / Math.max(count, 1);
+      const picked = instrument.detector.push(bandFlux, instrument.sensitivity);
+      const detected =
+        this.primed &&
+        bandFlux > picked.threshold &&
+        bandFlux > instrument.floor &&
+        picked.rising &&
+        time - instrument.lastOnset > instrument.cooldown;
+      if (detected) {
+        instrument.lastOnset = time;
+      }
+      frame[cursor + index] = bandFlux;
+      frame[cursor + this.instruments.length + index] = detected ? 1 : 0;
+    });
+
+    this.primed = true;
+    this.batchCount += 1;
+    if (this.batchCount >= this.framesPerMessage) {
+      this.port.postMessage({ frames: this.batch, count: this.batchCount, stride: this.stride }, [this.batch.buffer]);
+      this.batch = new Float64Array(this.stride * this.framesPerMessage);
+      this.batchCount = 0;
+    }
+  }
+
+  _computeSpectrum() {
+    const n = this.fftSize;
+    const real = this.real;
+    const imag = this.imag;
+    for (let i = 0; i < n; i += 1) {
+      const sample = this.input[(this.writeIndex + i) % n] * this.window[i];
+      const j = this.bitReverse[i];
+      real[j] = sample;
+      imag[j] = 0;
+    }
+
+    for (let size = 2; size <= n; size *= 2) {
+      const half = size / 2;
+      const step = n / size;
+      for (let start = 0; start < n; start += size) {
+        for (let k = 0; k < half; k += 1) {
+          const cos = this.cosTable[k * step];
+          const sin = this.sinTable[k * step];
+          const evenIndex = start + k;
+          const oddIndex = evenIndex + half;
+          const tr = real[oddIndex] * cos + imag[oddIndex] * sin;
+          const ti = imag[oddIndex] * cos - real[oddIndex] * sin;
+          real[oddIndex] = real[evenIndex] - tr;
+          imag[oddIndex] = imag[evenIndex] - ti;
+          real[evenIndex] += tr;
+          imag[evenIndex] += ti;
+        }
+      }
+    }
+
+    const range = this.maxDecibels - this.minDecibels;
+    for (let i = 0; i < this.magnitudes.length; i += 1) {
+      const magnitude = Math.hypot(real[i], imag[i]) / n;
+      this.magnitudes[i] = this.smoothing * this.magnitudes[i] + (1 - this.smoothing) * magnitude;
+      const decibels = 20 * Math.log10(this.magnitudes[i] + 1e-12);
+      this.spectrum[i] = Math.min(1, Math.max(0, (decibels - this.minDecibels) / range));
+    }
+  }
+}
+
+class OnsetPicker {
+  constructor(windowSize, minWindow) {
+    this.history = new Float32Array(windowSize);
+    this.minWindow = minWindow;
+    this.count = 0;
+    this.index = 0;
+    this.prev = 0;
+  }
+
+  push(value, sensitivity) {
+    let threshold = Infinity;
+    const size = Math.min(this.count, this.history.length);
+    if (size >= this.minWindow) {
+      let sum = 0;
+      for (let i = 0; i < size; i += 1) {
+        sum += this.history[i];
+      }
+      const mean = sum / size;
+      let deviation = 0;
+      for (let i = 0; i < size; i += 1) {
+        deviation += Math.abs(this.history[i] - mean);
+      }
+      threshold = mean + (deviation / size) * sensitivity;
+    }
+
+    this.history[this.index] = value;
+    this.index = (this.index + 1) % this.history.length;
+    this.count += 1;
+    const rising = value > this.prev;
+    this.prev = value;
+    return { threshold, rising };
+  }
+}
+
+function binRange(minHz, maxHz, binHz, binCount) {
+  const start = Math.min(Math.max(1, Math.floor(minHz / binHz)), binCount - 1);
+  const end = Math.min(Math.max(start + 1, Math.ceil(maxHz / binHz)), binCount);
+  return [start, end];
+}
+
+function buildBitReverse(n) {
+  const bits = Math.log2(n);
+  const table = new Uint32Array(n);
+  for (let i = 0; i < n; i += 1) {
+    let reversed = 0;
+    for (let b = 0; b < bits; b += 1) {
+      reversed = (reversed << 1) | ((i >> b) & 1);
+    }
+    table[i] = reversed;
+  }
+  return table;
+}
+
+registerProcessor("feature-extractor", FeatureExtractorProcessor);